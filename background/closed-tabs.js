@@ -0,0 +1,190 @@
+/**
+ * Closed tab history - every tab the extension closes goes through closeTabs,
+ * which skips protected tabs and records enough to restore the rest to their
+ * original window and position
+ */
+
+import { loadSettings } from '../lib/settings.js';
+import { getProtectionReason, detectUnsavedInput } from '../lib/protection.js';
+import { probeTabs } from './page-probes.js';
+import { recordDecisions } from './duplicate-stats.js';
+import { updateStored } from './storage-queue.js';
+
+const STORAGE_KEY = 'recentlyClosed';
+const MAX_ENTRIES = 50;
+
+/**
+ * Ids of tabs reopened by undo, so their first page load isn't taken for the
+ * user opening a duplicate. The service worker forgets them once loaded.
+ */
+export const restoredTabIds = new Set();
+
+async function loadEntries() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+// Keep about MAX_ENTRIES, dropping whole batches from the oldest so undo never
+// brings back only part of a close. The newest batch is always kept in full.
+function trimEntries(entries) {
+  const batchSizes = new Map(); // batchId -> entry count, newest batch first
+  for (const entry of entries) {
+    batchSizes.set(entry.batchId, (batchSizes.get(entry.batchId) || 0) + 1);
+  }
+
+  const keptBatches = new Set();
+  let count = 0;
+  for (const [batchId, size] of batchSizes) {
+    if (keptBatches.size > 0 && count + size > MAX_ENTRIES) break;
+    keptBatches.add(batchId);
+    count += size;
+  }
+  return entries.filter(entry => keptBatches.has(entry.batchId));
+}
+
+function updateEntries(change) {
+  return updateStored('local', STORAGE_KEY, (entries = []) => change(entries));
+}
+
+/**
+ * Get recently closed tabs, newest first
+ */
+export async function getRecentlyClosed() {
+  return loadEntries();
+}
+
+/**
+ * Split tabs into those that may be closed and those the protection settings keep
+ */
+async function filterProtectedTabs(tabs) {
+  const settings = await loadSettings();
+
+  let dirtyTabIds = new Set();
+  if (settings.protectUnsavedForms) {
+    // Main world, so handlers set through window.onbeforeunload are visible
+    const results = await probeTabs(tabs, detectUnsavedInput, 'MAIN');
+    dirtyTabIds = new Set(Object.keys(results).filter(id => results[id]).map(Number));
+  }
+
+  const closable = [];
+  const skipped = [];
+  for (const tab of tabs) {
+    const reason = getProtectionReason(tab, settings, dirtyTabIds);
+    if (reason) {
+      skipped.push({ tabId: tab.id, title: tab.title, url: tab.url, reason });
+    } else {
+      closable.push(tab);
+    }
+  }
+  return { closable, skipped };
+}
+
+/**
+ * Record and close tabs, skipping protected ones
+ * reasons maps tab ids to why they are being closed, for the duplicate stats;
+ * logStats false leaves closes that aren't duplicate decisions out of the stats
+ * Returns { closed, batchId, skipped } - the batch id restores this whole close,
+ * skipped lists { tabId, title, url, reason } for each protected tab
+ */
+export async function closeTabs(tabIds, reasons = {}, { logStats = true } = {}) {
+  const batchId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const closedAt = Date.now();
+
+  // Read each tab fresh so the recorded window, index and group are current
+  const openTabs = [];
+  for (const tabId of tabIds) {
+    try {
+      openTabs.push(await chrome.tabs.get(tabId));
+    } catch (e) {
+      // Tab was closed already - nothing to record
+    }
+  }
+
+  const { closable: tabs, skipped } = await filterProtectedTabs(openTabs);
+  if (tabs.length === 0) return { closed: 0, batchId: null, skipped };
+
+  const newEntries = tabs.map(tab => ({
+    id: `${batchId}-${tab.id}`,
+    batchId,
+    closedAt,
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: tab.pinned,
+    groupId: tab.groupId ?? -1
+  }));
+
+  await updateEntries(entries => trimEntries([...newEntries, ...entries]));
+
+  try {
+    await chrome.tabs.remove(tabs.map(t => t.id));
+  } catch (e) {
+    // Some tabs may have been closed already - that's OK
+    console.warn('Some tabs may have been closed already:', e.message);
+  }
+
+  if (logStats) {
+    await recordDecisions(tabs.map(tab => ({
+      url: tab.url,
+      reason: reasons[tab.id] || 'Exact duplicate',
+      decision: 'closed'
+    })));
+  }
+
+  return { closed: tabs.length, batchId, skipped };
+}
+
+/**
+ * Reopen one closed tab in its original window, position and tab group
+ */
+async function restoreEntry(entry) {
+  let tab;
+  try {
+    tab = await chrome.tabs.create({
+      windowId: entry.windowId,
+      index: entry.index,
+      url: entry.url,
+      pinned: entry.pinned,
+      active: false
+    });
+  } catch (e) {
+    // Original window is gone - reopen in the current window
+    tab = await chrome.tabs.create({ url: entry.url, pinned: entry.pinned, active: false });
+  }
+  restoredTabIds.add(tab.id);
+
+  if (entry.groupId !== -1) {
+    try {
+      await chrome.tabs.group({ groupId: entry.groupId, tabIds: [tab.id] });
+    } catch (e) {
+      // Tab group no longer exists - leave the tab ungrouped
+    }
+  }
+  return tab;
+}
+
+/**
+ * Restore closed tabs by entry id or by batch id, removing them from the history
+ */
+export async function restoreClosedTabs({ entryIds = [], batchId = null }) {
+  const entries = await loadEntries();
+  const toRestore = entries
+    .filter(e => entryIds.includes(e.id) || (batchId && e.batchId === batchId))
+    // Lowest index first, so each tab lands back in its original slot
+    .sort((a, b) => a.index - b.index);
+
+  const restored = [];
+  for (const entry of toRestore) {
+    try {
+      await restoreEntry(entry);
+      restored.push(entry.id);
+    } catch (e) {
+      console.error('Error restoring tab:', e);
+    }
+  }
+
+  await updateEntries(current => current.filter(e => !restored.includes(e.id)));
+  return { restored: restored.length };
+}
@@ -0,0 +1,78 @@
+/**
+ * Duplicate statistics - a log of every keep/close decision on a duplicate or
+ * similar tab, summarized for the dashboard
+ */
+
+import { getHostKey } from '../lib/fuzzy-matcher.js';
+import { toLocalDay } from '../lib/dates.js';
+import { updateStored } from './storage-queue.js';
+
+const STORAGE_KEY = 'duplicateStats';
+const MAX_EVENTS = 5000;
+const TOP_COUNT = 10;
+
+async function loadEvents() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+/**
+ * Log decisions, newest first
+ * Each decision is { url, reason, decision: 'closed' | 'kept' }
+ */
+export async function recordDecisions(decisions) {
+  if (decisions.length === 0) return;
+
+  const timestamp = Date.now();
+  const newEvents = decisions.map(({ url, reason, decision }) => ({
+    timestamp,
+    domain: getHostKey(url),
+    reason,
+    decision
+  }));
+
+  await updateStored('local', STORAGE_KEY, (events = []) => [...newEvents, ...events].slice(0, MAX_EVENTS));
+}
+
+/**
+ * Forget all logged decisions
+ */
+export async function clearDecisions() {
+  await updateStored('local', STORAGE_KEY, () => []);
+}
+
+function countBy(events, getKey) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = getKey(event);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function topCounts(counts, limit = TOP_COUNT) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => ({ key, count }));
+}
+
+/**
+ * Summarize the log for the dashboard
+ * Returns { tabsSaved, keptCount, since, topDomains, topReasons, perDay }
+ * where perDay lists { day, count } of closed tabs, oldest first
+ */
+export async function getDuplicateStats() {
+  const events = await loadEvents();
+  const closed = events.filter(e => e.decision === 'closed');
+  const perDay = countBy(closed, e => toLocalDay(e.timestamp));
+
+  return {
+    tabsSaved: closed.length,
+    keptCount: events.length - closed.length,
+    since: events.length ? events[events.length - 1].timestamp : null,
+    topDomains: topCounts(countBy(closed, e => e.domain)),
+    topReasons: topCounts(countBy(events, e => e.reason)),
+    perDay: [...perDay].sort((a, b) => a[0].localeCompare(b[0])).map(([day, count]) => ({ day, count }))
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Organize - gather related tabs into Chrome tab groups instead of closing them
+ */
+
+import { getHostKey, isScannableUrl } from '../lib/fuzzy-matcher.js';
+
+// Tab group titles longer than this get cut off in the tab strip anyway
+const MAX_TITLE_LENGTH = 30;
+
+function shortenTitle(title) {
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 3)}...` : title;
+}
+
+/**
+ * Put tabs side by side in one tab group
+ * Tabs from other windows move to the first tab's window; pinned tabs can't be
+ * grouped and are left where they are. If the first tab is already in a group
+ * with the same title, the others join it. Returns { grouped, groupId }.
+ */
+export async function groupTabs(tabIds, title) {
+  const tabs = [];
+  for (const tabId of tabIds) {
+    try {
+      tabs.push(await chrome.tabs.get(tabId));
+    } catch (e) {
+      // Tab was closed in the meantime
+    }
+  }
+  const groupable = tabs.filter(tab => !tab.pinned);
+  if (groupable.length < 2) return { grouped: 0, groupId: null };
+
+  const [first] = groupable;
+  const groupTitle = shortenTitle(title);
+  const tabIdsToGroup = groupable.map(t => t.id);
+  const groupId = await isGroupTitled(first.groupId, groupTitle)
+    ? await chrome.tabs.group({ groupId: first.groupId, tabIds: tabIdsToGroup })
+    : await chrome.tabs.group({ tabIds: tabIdsToGroup, createProperties: { windowId: first.windowId } });
+
+  await chrome.tabGroups.update(groupId, { title: groupTitle, collapsed: false });
+  return { grouped: groupable.length, groupId };
+}
+
+// Is the tab group one this module made for the same title? Organizing twice then
+// reuses it, while groups the user made for other reasons are left alone.
+async function isGroupTitled(groupId, title) {
+  if (groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return false;
+  try {
+    return (await chrome.tabGroups.get(groupId)).title === title;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Group the tabs of each window by domain, for every domain with two or more tabs
+ * includeTab limits which tabs are organized. Tabs stay in their own window.
+ * Returns { grouped, groups }.
+ */
+export async function organizeByDomain(includeTab = () => true) {
+  const tabs = (await chrome.tabs.query({})).filter(tab =>
+    includeTab(tab) && !tab.pinned && isScannableUrl(tab.url)
+  );
+
+  const byWindowAndDomain = new Map();
+  for (const tab of tabs) {
+    const key = `${tab.windowId}\n${getHostKey(tab.url)}`;
+    if (!byWindowAndDomain.has(key)) byWindowAndDomain.set(key, []);
+    byWindowAndDomain.get(key).push(tab);
+  }
+
+  let grouped = 0;
+  let groups = 0;
+  for (const [key, domainTabs] of byWindowAndDomain) {
+    if (domainTabs.length < 2) continue;
+    const domain = key.split('\n')[1];
+    const result = await groupTabs(domainTabs.map(t => t.id), domain);
+    grouped += result.grouped;
+    if (result.groupId !== null) groups++;
+  }
+  return { grouped, groups };
+}
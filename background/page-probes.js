@@ -0,0 +1,43 @@
+/**
+ * Page Probes - small scripts run inside tabs for details the tabs API lacks
+ *
+ * Needs the optional "scripting" permission and host access, which the user
+ * grants from the popup or options page.
+ */
+
+import { PAGE_ACCESS } from '../lib/settings.js';
+
+/**
+ * Check whether the optional page access permission has been granted
+ */
+export async function hasPageAccess() {
+  try {
+    return await chrome.permissions.contains(PAGE_ACCESS);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Run a function in the top frame of each tab
+ * Returns { [tabId]: result }, skipping tabs that cannot be scripted
+ * (discarded tabs, the Chrome Web Store, pages still loading, ...)
+ */
+export async function probeTabs(tabs, func, world = 'ISOLATED') {
+  const results = {};
+  if (!(await hasPageAccess())) return results;
+
+  await Promise.all(tabs.map(async tab => {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func,
+        world
+      });
+      results[tab.id] = injection.result;
+    } catch (e) {
+      // Page can't be scripted - treat as unknown
+    }
+  }));
+  return results;
+}
@@ -1,69 +1,620 @@
 /**
  * Background Service Worker for Duplicate Tab Closer
- * Handles badge updates only - analysis done in popup
+ * Owns the tab analysis used by the badge and the popup, and catches navigations to
+ * pages that are already open
  */
 
+import { parseUrl, isScannableUrl, hostMatchesDomain, getHostKey, compileRules } from '../lib/fuzzy-matcher.js';
+import { createTabIndex } from '../lib/tab-index.js';
+import { loadSettings, saveSettings, getMatcherOptions, MATCHER_SETTINGS } from '../lib/settings.js';
+import { chooseTabToKeep, getTabsToClose, getCloseReasons } from '../lib/keep-policy.js';
+import { getScopedAnalysis, createScopeFilter } from '../lib/scope.js';
+import { findStaleTabs } from '../lib/stale-tabs.js';
+import { getRemoteTabs, findRemoteDuplicates } from '../lib/remote-tabs.js';
+import { closeTabs, getRecentlyClosed, restoreClosedTabs, restoredTabIds } from './closed-tabs.js';
+import { probeTabs } from './page-probes.js';
+import { readPageIdentity } from '../lib/canonical-url.js';
+import { getErrorPages, recordErrorPage, clearErrorPage, bookmarkAndCloseTabs } from './stale-tabs.js';
+import { groupTabs, organizeByDomain } from './organize.js';
+import { recordDecisions, getDuplicateStats, clearDecisions } from './duplicate-stats.js';
+import {
+  listSnapshots,
+  saveSnapshot,
+  renameSnapshot,
+  deleteSnapshot,
+  restoreSnapshotInNewWindows,
+  restoreSnapshotMerged,
+  snapshotTabIds
+} from './snapshots.js';
+
+// Incremental index of all open tabs, shared by the badge and the popup.
+// Service workers are stopped when idle, so the index is rebuilt lazily on first use.
+let indexReady = null;
+
+function getIndex() {
+  return indexReady || startRebuild();
+}
+
+// Start building a fresh index. A failed build is forgotten, so the next
+// getIndex() tries again instead of returning the same rejection forever.
+function startRebuild() {
+  const build = rebuildIndex().catch(e => {
+    if (indexReady === build) indexReady = null;
+    throw e;
+  });
+  indexReady = build;
+  return build;
+}
+
+// Build a fresh index from every open tab
+async function rebuildIndex() {
+  const [tabs, settings] = await Promise.all([chrome.tabs.query({}), loadSettings()]);
+  const index = createTabIndex(getMatcherOptions(settings));
+  index.rebuild(tabs);
+  if (settings.useCanonicalUrls) {
+    await applyCanonicalUrls(index, tabs.filter(tab => isScannableUrl(tab.url)));
+  }
+  await updateBadge(index);
+  return index;
+}
+
+// Read the canonical URL and og:title of each tab's page into the index
+// Returns true if any changed
+async function applyCanonicalUrls(index, tabs) {
+  const results = await probeTabs(tabs, readPageIdentity);
+  let changed = false;
+  for (const [tabId, identity] of Object.entries(results)) {
+    if (index.setPageIdentity(Number(tabId), identity || {})) changed = true;
+  }
+  return changed;
+}
+
+// Re-read a tab's canonical URL and og:title once its page has loaded
+async function refreshCanonicalUrl(tab) {
+  if (!isScannableUrl(tab.url)) return;
+
+  try {
+    const settings = await loadSettings();
+    if (!settings.useCanonicalUrls) return;
+
+    const index = await getIndex();
+    if (await applyCanonicalUrls(index, [tab])) {
+      await updateBadge(index);
+    }
+  } catch (e) {
+    console.error('Error reading canonical URL:', e);
+  }
+}
+
+// Get the id of the browser window the user is working in
+async function getFocusedWindowId() {
+  try {
+    return (await chrome.windows.getLastFocused()).id;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Analyze the tabs in the configured scan scope
+// windowId is the window the scan is for (the popup's window, or the focused one)
+async function analyzeScope(index, settings, windowId) {
+  return getScopedAnalysis(index, settings.scope, {
+    windowId: windowId ?? await getFocusedWindowId(),
+    tabGroupId: settings.scopeTabGroupId
+  });
+}
+
+// Show a short result on the badge for a moment, then go back to the duplicate count
+const BADGE_FLASH_MS = 2000;
+const FLASH_DONE = '#27ae60';
+const FLASH_NOTHING = '#95a5a6';
+let badgeFlashUntil = 0;
+
+async function flashBadge(text, color) {
+  badgeFlashUntil = Date.now() + BADGE_FLASH_MS;
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setBadgeText({ text });
+  setTimeout(() => updateIndex(() => true), BADGE_FLASH_MS);
+}
+
+// Predicate for the tabs in the configured scan scope
+async function getScopeFilter(settings, windowId) {
+  return createScopeFilter(settings.scope, {
+    windowId: windowId ?? await getFocusedWindowId(),
+    tabGroupId: settings.scopeTabGroupId
+  });
+}
+
 // Update badge with duplicate count
-async function updateBadge() {
+async function updateBadge(index) {
+  if (Date.now() < badgeFlashUntil) return; // Refreshed when the flash ends
+  const settings = await loadSettings();
+  const analysis = settings.badgeFollowsScope
+    ? await analyzeScope(index, settings)
+    : index.getAnalysis();
+  const duplicateCount = analysis.totalDuplicates;
+
+  if (duplicateCount > 0) {
+    chrome.action.setBadgeText({ text: duplicateCount.toString() });
+    chrome.action.setBadgeBackgroundColor({ color: '#e74c3c' });
+  } else {
+    chrome.action.setBadgeText({ text: '' });
+  }
+}
+
+// Apply a change to the index and refresh the badge if anything moved,
+// logging instead of throwing from listeners
+async function updateIndex(change) {
   try {
-    const tabs = await chrome.tabs.query({});
-    const duplicateCount = countDuplicates(tabs);
+    const index = await getIndex();
+    if (change(index)) {
+      await updateBadge(index);
+    }
+  } catch (e) {
+    console.error('Error updating tab index:', e);
+  }
+}
 
-    if (duplicateCount > 0) {
-      chrome.action.setBadgeText({ text: duplicateCount.toString() });
-      chrome.action.setBadgeBackgroundColor({ color: '#e74c3c' });
-    } else {
-      chrome.action.setBadgeText({ text: '' });
+// Gather what the keep policy needs to know beyond the tab objects
+async function getKeepContext(groups, policy) {
+  const [[activeTab], focusedWindowId] = await Promise.all([
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }),
+    getFocusedWindowId()
+  ]);
+
+  const context = { activeTabId: activeTab?.id, focusedWindowId };
+  if (policy === 'longestHistory') {
+    context.historyLengths = await probeTabs(groups.flatMap(g => g.tabs), () => history.length);
+  }
+  return context;
+}
+
+// Get the scoped analysis with the tab to keep chosen for each duplicate group
+async function getAnalysisWithKeepChoices(index, windowId) {
+  const settings = await loadSettings();
+  // A threshold just saved may reach the index through storage.onChanged after this request
+  index.setThreshold(settings.threshold);
+  const analysis = await analyzeScope(index, settings, windowId);
+  const context = await getKeepContext(analysis.exactDuplicates, settings.keepPolicy);
+
+  for (const group of analysis.exactDuplicates) {
+    group.keepTabId = chooseTabToKeep(group.tabs, settings.keepPolicy, context).id;
+  }
+  return analysis;
+}
+
+// Find stale tabs in the configured scan scope
+async function getStaleTabs(windowId) {
+  const [tabs, settings, errorPages] = await Promise.all([chrome.tabs.query({}), loadSettings(), getErrorPages()]);
+  const includeTab = await getScopeFilter(settings, windowId);
+  return findStaleTabs(tabs.filter(includeTab), { staleDays: settings.staleDays, errorPages });
+}
+
+// Find tabs in the configured scan scope that are also open on another synced device
+// getDevices is empty when the browser isn't signed in with tab sync on
+async function getRemoteDuplicates(windowId) {
+  const [tabs, settings, devices] = await Promise.all([
+    chrome.tabs.query({}),
+    loadSettings(),
+    chrome.sessions.getDevices()
+  ]);
+  const includeTab = await getScopeFilter(settings, windowId);
+  return findRemoteDuplicates(tabs.filter(includeTab), getRemoteTabs(devices), {
+    rules: compileRules(settings.siteRules),
+    excludedDomains: settings.excludedDomains
+  });
+}
+
+// Check the per-domain allow/deny lists for auto-dedupe
+function isAutoDedupeAllowed(url, settings) {
+  const parsed = parseUrl(url);
+  if (!parsed) return false;
+
+  if (settings.autoDedupeDenylist.some(d => hostMatchesDomain(parsed.hostname, d))) {
+    return false;
+  }
+  if (settings.autoDedupeAllowlist.length > 0) {
+    return settings.autoDedupeAllowlist.some(d => hostMatchesDomain(parsed.hostname, d));
+  }
+  return true;
+}
+
+// Tabs whose latest navigation was already checked - onBeforeNavigate and
+// onUpdated both report most navigations, and only the first should act
+const checkedNavigations = new Map(); // tabId -> url
+
+// Tabs created since the worker started that haven't loaded a page yet. Only these
+// are auto-closed: a tab that navigates in place has history the user would lose.
+// A worker restart forgets them, which only means no auto-close (a prompt, if that is on).
+const newTabs = new Set();
+
+// Tabs the extension reopened itself (undo, snapshot restore) while their page loads.
+// They are meant to sit next to the copies that were kept.
+function isRestoredTab(tabId) {
+  return restoredTabIds.has(tabId) || snapshotTabIds.has(tabId);
+}
+
+function forgetRestoredTab(tabId) {
+  restoredTabIds.delete(tabId);
+  snapshotTabIds.delete(tabId);
+}
+
+// When a tab navigates to an already-open page, auto-close it if it was just
+// opened and auto-dedupe allows, otherwise ask whether to switch to the existing
+// copy if prompting is on. Tabs the extension restored are left alone.
+// skipReloads is for navigations that haven't committed yet: the index still
+// has the tab's current URL, so the tab matching itself means a reload.
+async function checkNavigation(tabId, url, { skipReloads = false } = {}) {
+  if (!isScannableUrl(url) || checkedNavigations.get(tabId) === url) return;
+  checkedNavigations.set(tabId, url);
+  const isNewTab = newTabs.delete(tabId);
+
+  try {
+    const settings = await loadSettings();
+    if (!settings.autoDedupe && !settings.promptOnDuplicate) return;
+
+    const index = await getIndex();
+    // Checked after the awaits, by when the restore that opened the tab has its id
+    if (isRestoredTab(tabId)) return;
+
+    const copies = index.getTabsMatching(url);
+    if (skipReloads && copies.some(t => t.id === tabId)) return;
+    const existing = copies.find(t => t.id !== tabId);
+    if (!existing) return;
+
+    const canAutoDedupe = settings.autoDedupe && isAutoDedupeAllowed(url, settings);
+    if (canAutoDedupe && isNewTab) {
+      await autoDedupe(tabId, existing);
+    } else if (settings.promptOnDuplicate) {
+      await promptForDuplicate(tabId, existing);
     }
   } catch (e) {
-    console.error('Error updating badge:', e);
+    // The tab may have been closed by the user in the meantime - that's OK
+    console.warn('Could not check navigation for duplicates:', e.message);
   }
 }
 
-// Simple duplicate counter for badge (exact duplicates only)
-function countDuplicates(tabs) {
-  const urlCounts = new Map();
+// Close the new tab that navigated to an already-open URL and focus the existing copy
+async function autoDedupe(tabId, existing) {
+  const { closed } = await closeTabs([tabId]);
+  if (!closed) return; // New tab is protected - leave both open
 
-  for (const tab of tabs) {
-    if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-      continue;
+  await switchToTab(existing);
+}
+
+// The notification id carries both tab ids, so a button still works after the
+// service worker has been stopped and restarted
+const PROMPT_PREFIX = 'duplicate';
+const PROMPT_BUTTONS = ['switch', 'closeOld']; // Closing the notification keeps both
+
+async function promptForDuplicate(tabId, existing) {
+  await chrome.notifications.create(`${PROMPT_PREFIX}:${tabId}:${existing.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: 'This page is already open',
+    message: existing.title || existing.url,
+    contextMessage: 'Close this notification to keep both tabs',
+    buttons: [{ title: 'Switch to the open tab' }, { title: 'Close the old tab' }]
+  });
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const [prefix, tabId, existingTabId] = notificationId.split(':');
+  if (prefix !== PROMPT_PREFIX) return;
+  chrome.notifications.clear(notificationId);
+
+  try {
+    if (PROMPT_BUTTONS[buttonIndex] === 'switch') {
+      // Closing the new copy through closeTabs keeps it undoable
+      await closeTabs([Number(tabId)]);
+      await switchToTab(await chrome.tabs.get(Number(existingTabId)));
+    } else {
+      await closeTabs([Number(existingTabId)]);
     }
+  } catch (e) {
+    // One of the tabs was closed while the notification was up
+    console.warn('Could not act on duplicate prompt:', e.message);
+  }
+});
+
+// Dismissing the prompt keeps both tabs
+chrome.notifications.onClosed.addListener(async (notificationId, byUser) => {
+  const [prefix, , existingTabId] = notificationId.split(':');
+  if (prefix !== PROMPT_PREFIX || !byUser) return;
 
-    // Simple normalization for counting
-    const normalized = normalizeUrlSimple(tab.url);
-    urlCounts.set(normalized, (urlCounts.get(normalized) || 0) + 1);
+  try {
+    const existing = await chrome.tabs.get(Number(existingTabId));
+    await recordDecisions([{ url: existing.url, reason: 'Exact duplicate', decision: 'kept' }]);
+  } catch (e) {
+    // Tab was closed while the notification was up - nothing was kept
   }
+});
+
+// Focus a tab and its window
+async function switchToTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab;
+}
 
-  let duplicates = 0;
-  for (const count of urlCounts.values()) {
-    if (count > 1) {
-      duplicates += count - 1;
+// Keyboard commands - results are flashed on the badge
+const commandHandlers = {
+  // Same as the popup's "Close All Duplicates", for the configured scope
+  'close-duplicates': async () => {
+    const analysis = await getAnalysisWithKeepChoices(await getIndex());
+    const tabIds = getTabsToClose(analysis.exactDuplicates);
+    const { closed } = tabIds.length
+      ? await closeTabs(tabIds, getCloseReasons(analysis.exactDuplicates))
+      : { closed: 0 };
+    return closed;
+  },
+  'dedupe-current-tab': async () => {
+    const activeTab = await getActiveTab();
+    if (!activeTab) return 0;
+
+    const index = await getIndex();
+    const tabIds = index.getTabsMatching(activeTab.url).filter(t => t.id !== activeTab.id).map(t => t.id);
+    const { closed } = tabIds.length ? await closeTabs(tabIds) : { closed: 0 };
+    return closed;
+  },
+  // Switch to the copy the keep policy would keep, leaving the current tab open
+  'jump-to-existing': async () => {
+    const activeTab = await getActiveTab();
+    if (!activeTab) return 0;
+
+    const index = await getIndex();
+    const others = index.getTabsMatching(activeTab.url).filter(t => t.id !== activeTab.id);
+    if (others.length === 0) return 0;
+
+    const { keepPolicy } = await loadSettings();
+    const context = await getKeepContext([{ tabs: others }], keepPolicy);
+    await switchToTab(chooseTabToKeep(others, keepPolicy, context));
+    return 1;
+  },
+  // Step to the next tab in the current tab's similar cluster, in tab strip order
+  'cycle-similar': async () => {
+    const activeTab = await getActiveTab();
+    if (!activeTab) return 0;
+
+    const index = await getIndex();
+    const cluster = index.getAnalysis().similarClusters
+      .find(c => c.tabs.some(t => t.id === activeTab.id));
+    if (!cluster) return 0;
+
+    const tabs = [...cluster.tabs].sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+    const position = tabs.findIndex(t => t.id === activeTab.id);
+    await switchToTab(tabs[(position + 1) % tabs.length]);
+    return 1;
+  }
+};
+
+chrome.commands.onCommand.addListener(async command => {
+  const handler = commandHandlers[command];
+  if (!handler) return;
+
+  try {
+    const count = await handler();
+    if (command === 'close-duplicates' || command === 'dedupe-current-tab') {
+      await flashBadge(count ? `-${count}` : '0', count ? FLASH_DONE : FLASH_NOTHING);
+    } else if (!count) {
+      // Nothing to switch to
+      await flashBadge('none', FLASH_NOTHING);
     }
+  } catch (e) {
+    console.error(`Error running command ${command}:`, e);
+  }
+});
+
+// Context menu entries on pages and links
+const contextMenuHandlers = {
+  'close-other-copies': async (info, tab) => {
+    const index = await getIndex();
+    const tabIds = index.getTabsMatching(tab.url).filter(t => t.id !== tab.id).map(t => t.id);
+    const { closed } = tabIds.length ? await closeTabs(tabIds) : { closed: 0 };
+    await flashBadge(closed ? `-${closed}` : '0', closed ? FLASH_DONE : FLASH_NOTHING);
+  },
+  // Matches the link the same way tabs are matched, so a Google Doc link finds the open doc
+  'open-or-switch': async (info, tab) => {
+    const index = await getIndex();
+    const copies = index.getTabsMatching(info.linkUrl);
+    if (copies.length > 0) {
+      await switchToTab(copies.find(t => t.windowId === tab.windowId) || copies[0]);
+      return;
+    }
+    await chrome.tabs.create({
+      url: info.linkUrl,
+      windowId: tab.windowId,
+      index: tab.index + 1,
+      openerTabId: tab.id
+    });
+  },
+  'never-dedupe-site': async (info, tab) => {
+    const settings = await loadSettings();
+    const domain = getHostKey(tab.url);
+    if (!settings.excludedDomains.includes(domain)) {
+      await saveSettings({ excludedDomains: [...settings.excludedDomains, domain] });
+    }
+    await flashBadge('off', FLASH_NOTHING);
   }
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'close-other-copies',
+      title: 'Close other copies of this page',
+      contexts: ['page']
+    });
+    chrome.contextMenus.create({
+      id: 'open-or-switch',
+      title: 'Open link, or switch to it if already open',
+      contexts: ['link'],
+      targetUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+    chrome.contextMenus.create({
+      id: 'never-dedupe-site',
+      title: 'Never dedupe this site',
+      contexts: ['page'],
+      documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+  });
+});
 
-  return duplicates;
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const handler = contextMenuHandlers[info.menuItemId];
+  if (!handler || !tab) return;
+
+  try {
+    await handler(info, tab);
+  } catch (e) {
+    console.error(`Error handling menu item ${info.menuItemId}:`, e);
+  }
+});
+
+// Close tabs for the popup, dropping them from the index before replying so the
+// popup's next getAnalysis doesn't depend on onRemoved having run
+async function closeTabsForPage(tabIds, reasons, options) {
+  const result = await closeTabs(tabIds, reasons, options);
+  const skipped = new Set(result.skipped.map(s => s.tabId));
+  await updateIndex(index => tabIds.filter(id => !skipped.has(id)).map(id => index.removeTab(id)).some(Boolean));
+  return result;
 }
 
-function normalizeUrlSimple(urlString) {
+// Message API used by the popup and dashboard - every tab close goes through closeTabs so it can be undone
+const messageHandlers = {
+  getAnalysis: async ({ windowId }) => getAnalysisWithKeepChoices(await getIndex(), windowId),
+  rescan: async ({ windowId }) => getAnalysisWithKeepChoices(await startRebuild(), windowId),
+  closeTabs: ({ tabIds, reasons, logStats }) => closeTabsForPage(tabIds, reasons, { logStats }),
+  recordKept: ({ decisions }) => recordDecisions(decisions.map(d => ({ ...d, decision: 'kept' }))),
+  getStats: () => getDuplicateStats(),
+  getStaleTabs: ({ windowId }) => getStaleTabs(windowId),
+  getRemoteDuplicates: ({ windowId }) => getRemoteDuplicates(windowId),
+  bookmarkAndCloseTabs: ({ tabIds }) => bookmarkAndCloseTabs(tabIds),
+  organizeTabs: ({ tabIds, title }) => groupTabs(tabIds, title),
+  organizeByDomain: async ({ windowId }) => organizeByDomain(await getScopeFilter(await loadSettings(), windowId)),
+  clearStats: () => clearDecisions(),
+  listSnapshots: () => listSnapshots(),
+  saveSnapshot: ({ name }) => saveSnapshot(name),
+  renameSnapshot: ({ id, name }) => renameSnapshot(id, name),
+  deleteSnapshot: ({ id }) => deleteSnapshot(id),
+  restoreSnapshot: async ({ id, merge, windowId }) => merge
+    ? restoreSnapshotMerged(id, windowId ?? await getFocusedWindowId())
+    : restoreSnapshotInNewWindows(id),
+  getRecentlyClosed: () => getRecentlyClosed(),
+  restoreClosed: ({ entryIds, batchId }) => restoreClosedTabs({ entryIds, batchId })
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = messageHandlers[message?.type];
+  if (!handler) return false;
+
+  Promise.resolve(handler(message, sender))
+    .then(sendResponse)
+    .catch(e => {
+      console.error(`Error handling ${message.type}:`, e);
+      sendResponse({ error: e.message });
+    });
+  return true; // Keep the channel open for the async response
+});
+
+// Listen for tab events to keep the index current
+chrome.tabs.onCreated.addListener(tab => {
+  newTabs.add(tab.id);
+  updateIndex(index => index.upsertTab(tab));
+});
+chrome.tabs.onRemoved.addListener(tabId => {
+  checkedNavigations.delete(tabId);
+  newTabs.delete(tabId);
+  forgetRestoredTab(tabId);
+  clearErrorPage(tabId);
+  updateIndex(index => index.removeTab(tabId));
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Catches URL changes webNavigation doesn't report, like history.pushState
+  if (changeInfo.url) {
+    checkNavigation(tabId, changeInfo.url);
+  }
+  updateIndex(index => index.upsertTab(tab));
+  if (changeInfo.status === 'complete') {
+    forgetRestoredTab(tabId);
+    refreshCanonicalUrl(tab);
+  }
+});
+// Catch navigations before the page starts loading
+chrome.webNavigation.onBeforeNavigate.addListener(({ tabId, frameId, url }) => {
+  if (frameId === 0 && tabId >= 0) {
+    checkNavigation(tabId, url, { skipReloads: true });
+  }
+});
+// Remember top-frame load failures for the stale tabs list
+chrome.webNavigation.onErrorOccurred.addListener(({ tabId, frameId, url, error }) => {
+  // Aborted loads are the user stopping the page or starting a download
+  if (frameId === 0 && tabId >= 0 && error !== 'net::ERR_ABORTED') {
+    recordErrorPage(tabId, url, error);
+  }
+});
+chrome.webNavigation.onCompleted.addListener(({ tabId, frameId }) => {
+  if (frameId === 0) {
+    clearErrorPage(tabId);
+  }
+});
+chrome.tabs.onAttached.addListener(async tabId => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    updateIndex(index => index.upsertTab(tab));
+  } catch (e) {
+    // Tab closed while moving between windows
+  }
+});
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  try {
+    const tab = await chrome.tabs.get(addedTabId);
+    updateIndex(index => {
+      const removed = index.removeTab(removedTabId);
+      return index.upsertTab(tab) || removed;
+    });
+  } catch (e) {
+    updateIndex(index => index.removeTab(removedTabId));
+  }
+});
+
+// Read the threshold back rather than trusting a change's newValue: the settings
+// migration removing its old local copy reports a change with no newValue
+async function applyStoredThreshold() {
   try {
-    const url = new URL(urlString);
-    const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
-    const pathname = url.pathname.replace(/\/+$/, '') || '/';
-    const params = [...url.searchParams.entries()].sort().map(([k,v]) => `${k}=${v}`).join('&');
-    return `${url.protocol}//${hostname}${url.port ? ':' + url.port : ''}${pathname}${params ? '?' + params : ''}`;
+    const { threshold } = await loadSettings();
+    await updateIndex(index => {
+      index.setThreshold(threshold);
+      return true;
+    });
   } catch (e) {
-    return urlString;
+    console.error('Error applying the similarity threshold:', e);
   }
 }
 
-// Listen for tab events to update badge
-chrome.tabs.onCreated.addListener(updateBadge);
-chrome.tabs.onRemoved.addListener(updateBadge);
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.url || changeInfo.title) {
-    updateBadge();
+// Rebuild when URL keying changes, and re-compare similar tabs when the threshold changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' && areaName !== 'sync') return;
+
+  if (MATCHER_SETTINGS.some(key => changes[key])) {
+    startRebuild().catch(e => console.error('Error rebuilding tab index:', e));
+  } else if (changes.threshold) {
+    applyStoredThreshold();
+  } else if (changes.scope || changes.scopeTabGroupId || changes.badgeFollowsScope) {
+    updateIndex(() => true);
+  }
+});
+
+// A badge that follows the current-window scope changes with the focused window
+chrome.windows.onFocusChanged.addListener(windowId => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    updateIndex(() => true);
   }
 });
 
-// Initial badge update
-updateBadge();
+// Build the index as soon as the worker starts
+getIndex().catch(e => console.error('Error building tab index:', e));
@@ -0,0 +1,117 @@
+/**
+ * Session snapshots in the background: saved to storage.local, restored into
+ * new windows or merged into an open one
+ */
+
+import { compileRules } from '../lib/fuzzy-matcher.js';
+import { loadSettings } from '../lib/settings.js';
+import { createSnapshotWindows, filterAlreadyOpen } from '../lib/snapshots.js';
+
+const STORAGE_KEY = 'snapshots';
+
+/**
+ * Ids of tabs opened by a restore, so their first page load isn't taken for the
+ * user opening a duplicate. The service worker forgets them once loaded.
+ */
+export const snapshotTabIds = new Set();
+
+async function loadSnapshots() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+async function saveSnapshots(snapshots) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: snapshots });
+}
+
+async function getSnapshot(id) {
+  const snapshot = (await loadSnapshots()).find(s => s.id === id);
+  if (!snapshot) throw new Error('Snapshot not found');
+  return snapshot;
+}
+
+// Same site rules as duplicate detection, so a snapshot collapses what the popup would
+async function getSiteRules() {
+  return compileRules((await loadSettings()).siteRules);
+}
+
+/**
+ * Get saved snapshots, newest first
+ */
+export async function listSnapshots() {
+  return loadSnapshots();
+}
+
+/**
+ * Save every open window and tab, one copy of each page
+ * Returns the new snapshot
+ */
+export async function saveSnapshot(name) {
+  const [tabs, rules] = await Promise.all([chrome.tabs.query({}), getSiteRules()]);
+  const createdAt = Date.now();
+  const snapshot = {
+    id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name?.trim() || `Snapshot ${new Date(createdAt).toLocaleString()}`,
+    createdAt,
+    ...createSnapshotWindows(tabs, rules)
+  };
+  if (snapshot.tabCount === 0) throw new Error('No tabs to save');
+
+  await saveSnapshots([snapshot, ...(await loadSnapshots())]);
+  return snapshot;
+}
+
+/**
+ * Rename a snapshot
+ */
+export async function renameSnapshot(id, name) {
+  if (!name?.trim()) throw new Error('Snapshot name is empty');
+  const snapshots = await loadSnapshots();
+  const snapshot = snapshots.find(s => s.id === id);
+  if (!snapshot) throw new Error('Snapshot not found');
+  snapshot.name = name.trim();
+  await saveSnapshots(snapshots);
+}
+
+/**
+ * Delete a snapshot
+ */
+export async function deleteSnapshot(id) {
+  await saveSnapshots((await loadSnapshots()).filter(s => s.id !== id));
+}
+
+/**
+ * Reopen each window of a snapshot as a new browser window
+ * Returns { opened, alreadyOpen }
+ */
+export async function restoreSnapshotInNewWindows(id) {
+  const snapshot = await getSnapshot(id);
+  let opened = 0;
+  for (const { tabs } of snapshot.windows) {
+    const created = await chrome.windows.create({ url: tabs.map(t => t.url) });
+    created.tabs.forEach(tab => snapshotTabIds.add(tab.id));
+    // Pinning moves tabs to the front, which is where pinned tabs were saved from
+    for (let i = 0; i < tabs.length; i++) {
+      if (tabs[i].pinned && created.tabs[i]) {
+        await chrome.tabs.update(created.tabs[i].id, { pinned: true });
+      }
+    }
+    opened += tabs.length;
+  }
+  return { opened, alreadyOpen: 0 };
+}
+
+/**
+ * Open a snapshot's tabs in one window, skipping pages that are open already
+ * Returns { opened, alreadyOpen }
+ */
+export async function restoreSnapshotMerged(id, windowId) {
+  const [snapshot, openTabs, rules] = await Promise.all([getSnapshot(id), chrome.tabs.query({}), getSiteRules()]);
+  const { toOpen, alreadyOpen } = filterAlreadyOpen(snapshot.windows.flatMap(w => w.tabs), openTabs, rules);
+
+  for (const tab of toOpen) {
+    const created = await chrome.tabs.create({ windowId, url: tab.url, pinned: tab.pinned, active: false });
+    snapshotTabIds.add(created.id);
+  }
+  return { opened: toOpen.length, alreadyOpen: alreadyOpen.length };
+}
@@ -0,0 +1,73 @@
+/**
+ * Stale tab support in the background: remembers which tabs are showing an
+ * error page, and bookmarks tabs before closing them
+ */
+
+import { closeTabs } from './closed-tabs.js';
+import { updateStored } from './storage-queue.js';
+
+// Session storage outlives the service worker but not the browser, like the pages it describes
+const ERROR_PAGES_KEY = 'errorPages';
+const BOOKMARK_FOLDER = 'Closed stale tabs';
+
+/**
+ * Get { [tabId]: { url, error } } for tabs whose last navigation failed
+ */
+export async function getErrorPages() {
+  const stored = await chrome.storage.session.get(ERROR_PAGES_KEY);
+  return stored[ERROR_PAGES_KEY] || {};
+}
+
+// change edits the map in place and returns true if it changed anything
+function updateErrorPages(change) {
+  return updateStored('session', ERROR_PAGES_KEY, (errorPages = {}) =>
+    change(errorPages) ? errorPages : undefined
+  );
+}
+
+/**
+ * Record a failed top-frame navigation
+ */
+export async function recordErrorPage(tabId, url, error) {
+  await updateErrorPages(errorPages => {
+    errorPages[tabId] = { url, error };
+    return true;
+  });
+}
+
+/**
+ * Forget a tab's error page after it loads something else or closes
+ */
+export async function clearErrorPage(tabId) {
+  await updateErrorPages(errorPages => {
+    if (!(tabId in errorPages)) return false;
+    delete errorPages[tabId];
+    return true;
+  });
+}
+
+// Find or create the bookmark folder stale tabs are saved to
+async function getBookmarkFolder() {
+  const [existing] = (await chrome.bookmarks.search({ title: BOOKMARK_FOLDER })).filter(node => !node.url);
+  if (existing) return existing;
+  return chrome.bookmarks.create({ title: BOOKMARK_FOLDER });
+}
+
+/**
+ * Bookmark tabs into the stale tabs folder, then close them through closeTabs
+ * Protected tabs are bookmarked but stay open
+ */
+export async function bookmarkAndCloseTabs(tabIds) {
+  const folder = await getBookmarkFolder();
+  for (const tabId of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+    } catch (e) {
+      // Tab was closed already - nothing to bookmark
+    }
+  }
+
+  // Stale tabs aren't duplicates, so they stay out of the duplicate stats
+  return closeTabs(tabIds, {}, { logStats: false });
+}
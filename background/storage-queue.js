@@ -0,0 +1,30 @@
+/**
+ * Serialized storage updates - each read-modify-write of a storage key waits for
+ * the previous one, so updates running at the same time (several tabs closed or
+ * failing to load at once) don't overwrite each other's changes
+ */
+
+const queues = new Map(); // 'area:key' -> the latest update
+
+/**
+ * Update one key in chrome.storage[areaName]
+ * change receives the stored value (undefined if unset) and returns the new
+ * value, or undefined to leave it as it is
+ */
+export function updateStored(areaName, key, change) {
+  const queueKey = `${areaName}:${key}`;
+  const previous = queues.get(queueKey) || Promise.resolve();
+
+  const update = previous.catch(() => {}).then(async () => {
+    const area = chrome.storage[areaName];
+    const stored = await area.get(key);
+    const value = change(stored[key]);
+    if (value !== undefined) await area.set({ [key]: value });
+  });
+
+  queues.set(queueKey, update);
+  update.finally(() => {
+    if (queues.get(queueKey) === update) queues.delete(queueKey);
+  }).catch(() => {}); // The caller handles the error
+  return update;
+}
@@ -0,0 +1,68 @@
+/**
+ * Similarity benchmark - replays synthetic tab sets through the matcher
+ *
+ * Usage: node bench/similarity-bench.js [tabCount ...]
+ */
+
+import { analyzeTabs } from '../lib/fuzzy-matcher.js';
+import { createTabIndex } from '../lib/tab-index.js';
+
+const DEFAULT_SIZES = [100, 300, 1000, 2000];
+
+// A few heavy sites plus a long tail, roughly like a power user's session
+const HEAVY_HOSTS = ['github.com', 'www.youtube.com', 'stackoverflow.com', 'en.wikipedia.org'];
+const WORDS = ['issues', 'pull', 'wiki', 'questions', 'watch', 'docs', 'guide', 'api', 'blog', 'release', 'search', 'settings'];
+
+// Deterministic PRNG so runs are comparable
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+function generateTabs(count, random) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const tabs = [];
+
+  for (let id = 1; id <= count; id++) {
+    const host = random() < 0.6 ? pick(HEAVY_HOSTS) : `site${Math.floor(random() * count / 4)}.example.com`;
+    const path = `/${pick(WORDS)}/${pick(WORDS)}/${Math.floor(random() * 5000)}`;
+    const query = random() < 0.2 ? `?utm_source=${pick(WORDS)}` : '';
+    tabs.push({
+      id,
+      windowId: 1,
+      url: `https://${host}${path}${query}`,
+      title: `${pick(WORDS)} ${pick(WORDS)} #${Math.floor(random() * 5000)} - ${host}`
+    });
+  }
+  return tabs;
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { ms: performance.now() - start, result };
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+
+for (const size of sizes.length ? sizes : DEFAULT_SIZES) {
+  const tabs = generateTabs(size, createRandom(size));
+
+  const full = time(() => analyzeTabs(tabs, { threshold: 80 }));
+
+  const index = createTabIndex({ threshold: 80 });
+  const rebuild = time(() => index.rebuild(tabs));
+
+  // One navigation event on a tab in the busiest site
+  const update = time(() => index.upsertTab({ ...tabs[0], url: tabs[0].url + '/files' }));
+
+  console.log(
+    `${String(size).padStart(5)} tabs  ` +
+    `analyzeTabs ${full.ms.toFixed(1)}ms  ` +
+    `index rebuild ${rebuild.ms.toFixed(1)}ms  ` +
+    `single update ${update.ms.toFixed(2)}ms  ` +
+    `(${full.result.totalDuplicates} duplicates, ${full.result.totalSimilar} similar pairs)`
+  );
+}
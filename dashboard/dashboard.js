@@ -0,0 +1,84 @@
+/**
+ * Statistics Dashboard for Duplicate Tab Closer
+ */
+
+import { sendMessage } from '../lib/messaging.js';
+import { toLocalDay } from '../lib/dates.js';
+
+// Days shown in the per-day chart
+const CHART_DAYS = 30;
+
+// ============ DOM Elements ============
+
+const sinceText = document.getElementById('since');
+const tabsSaved = document.getElementById('tabs-saved');
+const keptCount = document.getElementById('kept-count');
+const perDayChart = document.getElementById('per-day');
+const topDomainsList = document.getElementById('top-domains');
+const topReasonsList = document.getElementById('top-reasons');
+const noStats = document.getElementById('no-stats');
+const clearStatsBtn = document.getElementById('clear-stats');
+
+async function init() {
+  clearStatsBtn.addEventListener('click', clearStats);
+  await render();
+}
+
+async function render() {
+  const stats = await sendMessage('getStats');
+
+  tabsSaved.textContent = stats.tabsSaved;
+  keptCount.textContent = stats.keptCount;
+  sinceText.textContent = stats.since ? `Since ${new Date(stats.since).toLocaleDateString()}` : '';
+  noStats.classList.toggle('hidden', stats.since !== null);
+
+  renderPerDay(stats.perDay);
+  renderCounts(topDomainsList, stats.topDomains);
+  renderCounts(topReasonsList, stats.topReasons);
+}
+
+// Bar per day for the last CHART_DAYS days, including days with nothing closed
+function renderPerDay(perDay) {
+  perDayChart.innerHTML = '';
+  const counts = new Map(perDay.map(({ day, count }) => [day, count]));
+
+  const days = [];
+  for (let i = CHART_DAYS - 1; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const day = toLocalDay(date);
+    days.push({ day, count: counts.get(day) || 0 });
+  }
+
+  const max = Math.max(1, ...days.map(d => d.count));
+  for (const { day, count } of days) {
+    const bar = document.createElement('div');
+    bar.className = 'day-bar';
+    bar.style.height = `${(count / max) * 100}%`;
+    bar.title = `${day}: ${count} closed`;
+    perDayChart.appendChild(bar);
+  }
+}
+
+function renderCounts(list, counts) {
+  list.innerHTML = '';
+  for (const { key, count } of counts) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'count-key';
+    label.textContent = key;
+    const value = document.createElement('span');
+    value.className = 'count-value';
+    value.textContent = count;
+    li.append(label, value);
+    list.appendChild(li);
+  }
+}
+
+async function clearStats() {
+  if (!confirm('Clear all duplicate statistics?')) return;
+  await sendMessage('clearStats');
+  await render();
+}
+
+document.addEventListener('DOMContentLoaded', init);
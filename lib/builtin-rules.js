@@ -0,0 +1,44 @@
+/**
+ * Built-in site rules - identity-key extractors for popular web apps
+ *
+ * See the site rules notes in fuzzy-matcher.js for the rule format.
+ * Keys that can collide between separate instances of an app (Jira,
+ * Confluence) are scoped to the hostname.
+ */
+
+export const BUILTIN_RULES = [
+  // Google Workspace
+  { id: 'google-docs', name: 'Google Docs', host: 'docs.google.com', pathPattern: '^/document/(?:u/\\d+/)?d/([^/]+)', key: 'gdoc:doc' },
+  { id: 'google-sheets', name: 'Google Sheets', host: 'docs.google.com', pathPattern: '^/spreadsheets/(?:u/\\d+/)?d/([^/]+)', key: 'gdoc:sheet' },
+  { id: 'google-slides', name: 'Google Slides', host: 'docs.google.com', pathPattern: '^/presentation/(?:u/\\d+/)?d/([^/]+)', key: 'gdoc:slides' },
+  { id: 'google-forms', name: 'Google Forms', host: 'docs.google.com', pathPattern: '^/forms/(?:u/\\d+/)?d/(?:e/)?([^/]+)', key: 'gdoc:form' },
+  { id: 'google-drive-file', name: 'Google Drive file', host: 'drive.google.com', pathPattern: '^/file/(?:u/\\d+/)?d/([^/]+)', key: 'gdrive:file' },
+  { id: 'google-drive-open', name: 'Google Drive file (open link)', host: 'drive.google.com', pathPattern: '^/open$', keyParam: 'id', key: 'gdrive:file' },
+  { id: 'google-drive-folder', name: 'Google Drive folder', host: 'drive.google.com', pathPattern: '^/drive/(?:u/\\d+/)?folders/([^/]+)', key: 'gdrive:folder' },
+
+  // GitHub issues and pull requests, including the /files and /commits sub-tabs
+  { id: 'github-issue', name: 'GitHub issue or pull request', host: 'github.com', pathPattern: '^/([^/]+/[^/]+)/(?:issues|pull)/(\\d+)', key: 'github' },
+
+  // Jira issues: /browse/KEY-123 and boards with ?selectedIssue=KEY-123
+  { id: 'jira-browse', name: 'Jira issue', host: 'atlassian.net', pathPattern: '^/browse/([A-Z][A-Z0-9_]*-\\d+)', key: 'jira', scopeKeyToHost: true },
+  { id: 'jira-selected', name: 'Jira issue (board view)', host: 'atlassian.net', pathPattern: '^/(?:jira|secure)/', keyParam: 'selectedIssue', key: 'jira', scopeKeyToHost: true },
+
+  // Confluence pages
+  { id: 'confluence-page', name: 'Confluence page', host: 'atlassian.net', pathPattern: '^/wiki/spaces/[^/]+/pages/(\\d+)', key: 'confluence', scopeKeyToHost: true },
+  { id: 'confluence-viewpage', name: 'Confluence page (viewpage link)', host: 'atlassian.net', pathPattern: '^/wiki/pages/viewpage\\.action$', keyParam: 'pageId', key: 'confluence', scopeKeyToHost: true },
+
+  // YouTube: watch?v=, youtu.be short links and shorts, ignoring &t= and playlists
+  { id: 'youtube-watch', name: 'YouTube video', host: 'youtube.com', pathPattern: '^/watch$', keyParam: 'v', key: 'youtube' },
+  { id: 'youtube-shorts', name: 'YouTube short', host: 'youtube.com', pathPattern: '^/shorts/([\\w-]+)', key: 'youtube' },
+  { id: 'youtube-short-link', name: 'YouTube short link', host: 'youtu.be', pathPattern: '^/([\\w-]+)', key: 'youtube' },
+
+  // Notion pages end in a 32 character page ID, after an optional title slug
+  { id: 'notion-page', name: 'Notion page', host: 'notion.so', pathPattern: '([0-9a-f]{32})$', key: 'notion' },
+  { id: 'notion-site-page', name: 'Notion public page', host: 'notion.site', pathPattern: '([0-9a-f]{32})$', key: 'notion' },
+
+  // Figma files, whichever editor view they are opened in
+  { id: 'figma-file', name: 'Figma file', host: 'figma.com', pathPattern: '^/(?:file|design|proto|board)/([A-Za-z0-9]+)', key: 'figma' },
+
+  // Stack Overflow questions, with or without the title slug
+  { id: 'stackoverflow-question', name: 'Stack Overflow question', host: 'stackoverflow.com', pathPattern: '^/(?:questions|q)/(\\d+)', key: 'stackoverflow' },
+];
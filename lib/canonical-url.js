@@ -0,0 +1,28 @@
+/**
+ * Canonical URL - the address a page says it really lives at, which AMP,
+ * mobile and paginated copies of an article share, along with the article
+ * title it declares
+ */
+
+/**
+ * Runs inside a page: read <link rel="canonical"> (falling back to og:url) and og:title
+ * Returns { canonicalUrl, ogTitle } - canonicalUrl is absolute - or null if the
+ * page declares neither
+ */
+export function readPageIdentity() {
+  let canonicalUrl = null;
+  const link = document.querySelector('link[rel="canonical"][href]');
+  const ogUrl = document.querySelector('meta[property="og:url"][content]');
+  if (link) {
+    canonicalUrl = link.href;
+  } else if (ogUrl) {
+    try {
+      canonicalUrl = new URL(ogUrl.content, location.href).href;
+    } catch (e) {
+      // Not a URL - ignore it
+    }
+  }
+
+  const ogTitle = document.querySelector('meta[property="og:title"][content]')?.content.trim() || null;
+  return canonicalUrl || ogTitle ? { canonicalUrl, ogTitle } : null;
+}
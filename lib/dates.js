@@ -0,0 +1,21 @@
+/**
+ * Dates - local calendar formatting shared by the stats and reports
+ */
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Local calendar day of a timestamp or Date, e.g. 2026-10-19
+ */
+export function toLocalDay(time) {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local date and time of a timestamp or Date, e.g. 2026-10-19 14:05
+ */
+export function toLocalTime(time) {
+  const date = new Date(time);
+  return `${toLocalDay(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -2,34 +2,128 @@
  * Fuzzy URL Matcher - URL similarity algorithms for duplicate tab detection
  */
 
-// Google Workspace URL patterns for document detection
-const GOOGLE_WORKSPACE_PATTERNS = [
-  { pattern: /^docs\.google\.com\/document\/d\/([^\/]+)/, type: 'doc' },
-  { pattern: /^docs\.google\.com\/spreadsheets\/d\/([^\/]+)/, type: 'sheet' },
-  { pattern: /^docs\.google\.com\/presentation\/d\/([^\/]+)/, type: 'slides' },
-];
+import { BUILTIN_RULES } from './builtin-rules.js';
+import { clusterSimilarPairs } from './similar-clusters.js';
+import {
+  levenshteinDistance,
+  stringSimilarity,
+  normalizeTitle,
+  TITLE_METRICS,
+  DEFAULT_SCORING
+} from './similarity.js';
+
+export { BUILTIN_RULES, levenshteinDistance, stringSimilarity };
 
 /**
- * Extract Google Workspace document ID from URL
+ * Site rules
+ *
+ * A rule applies to a host (and its subdomains) and optionally to paths
+ * matching pathPattern. Rules can:
+ * - extract an identity key, so every URL of the same document groups as an
+ *   exact duplicate. The key comes from the query param named by keyParam, or
+ *   else from the capture groups of pathPattern. It is prefixed with rule.key
+ *   (or rule.id, or else the rule's host, pathPattern and keyParam), plus the
+ *   hostname when scopeKeyToHost is set.
+ * - drop query params listed in ignoreParams before comparing URLs
+ * - keep the hash as part of the URL with ignoreHash: false (hash-routed apps);
+ *   hashes are ignored otherwise
  */
-function getGoogleDocId(hostname, pathname) {
-  for (const { pattern, type } of GOOGLE_WORKSPACE_PATTERNS) {
-    const match = (hostname + pathname).match(pattern);
-    if (match) {
-      return { docId: match[1], type };
+
+/**
+ * Check a site rule for problems, returning an error message or null
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  if (typeof rule.host !== 'string' || !rule.host.trim()) return 'Rule needs a host';
+  if (rule.pathPattern !== undefined) {
+    if (typeof rule.pathPattern !== 'string') return 'pathPattern must be a string';
+    try {
+      new RegExp(rule.pathPattern);
+    } catch (e) {
+      return `Invalid pathPattern: ${e.message}`;
     }
   }
+  if (rule.ignoreParams !== undefined &&
+      (!Array.isArray(rule.ignoreParams) || !rule.ignoreParams.every(p => typeof p === 'string' && p.trim()))) {
+    return 'ignoreParams must be a list of parameter names';
+  }
+  if (rule.ignoreHash !== undefined && typeof rule.ignoreHash !== 'boolean') {
+    return 'ignoreHash must be true or false';
+  }
+  if (rule.keyParam !== undefined && (typeof rule.keyParam !== 'string' || !rule.keyParam)) {
+    return 'keyParam must be a parameter name';
+  }
+  if (rule.scopeKeyToHost !== undefined && typeof rule.scopeKeyToHost !== 'boolean') {
+    return 'scopeKeyToHost must be true or false';
+  }
   return null;
 }
 
+// Key prefix for a rule with no key or id. Rules on one host must not share it,
+// or /pages/5 and /spaces/5 would both become host:5.
+function getRuleKey(rule) {
+  return [rule.host, rule.pathPattern || '', rule.keyParam || ''].join('|');
+}
+
+/**
+ * Prepare site rules for matching, skipping invalid ones
+ * User rules come first so they take priority over the built-in rules.
+ */
+export function compileRules(userRules = []) {
+  const compiled = [];
+  for (const rule of [...userRules, ...BUILTIN_RULES]) {
+    const error = validateRule(rule);
+    if (error) {
+      console.warn(`Skipping site rule ${rule?.id || rule?.host}:`, error);
+      continue;
+    }
+    compiled.push({
+      ...rule,
+      host: rule.host.trim().toLowerCase().replace(/^www\./, ''),
+      key: rule.key || rule.id || getRuleKey(rule),
+      pathRegex: rule.pathPattern ? new RegExp(rule.pathPattern) : null,
+      ignoreParams: new Set((rule.ignoreParams || []).map(p => p.toLowerCase()))
+    });
+  }
+  return compiled;
+}
+
+export const DEFAULT_RULES = compileRules();
+
 // Common tracking parameters to ignore
-const TRACKING_PARAMS = new Set([
+export const DEFAULT_TRACKING_PARAMS = [
   'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
   'fbclid', 'gclid', 'msclkid', 'dclid',
   'ref', 'source', 'mc_cid', 'mc_eid',
   '_ga', '_gl', 'yclid', 'wickedid',
   'twclid', 'igshid', 'zanpid'
-]);
+];
+
+const DEFAULT_TRACKING_PARAM_SET = new Set(DEFAULT_TRACKING_PARAMS);
+
+/**
+ * Check whether a URL belongs to a regular web page we should scan
+ */
+export function isScannableUrl(url) {
+  return Boolean(url) && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
+
+/**
+ * Check if a hostname is the given domain or one of its subdomains
+ */
+export function hostMatchesDomain(hostname, domain) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Check if a URL is on one of the domains the user never wants deduped
+ */
+export function isExcludedUrl(url, excludedDomains = []) {
+  if (excludedDomains.length === 0) return false;
+  const parsed = parseUrl(url);
+  return Boolean(parsed) && excludedDomains.some(d => hostMatchesDomain(parsed.hostname, d));
+}
 
 /**
  * Parse a URL into components for comparison
@@ -52,25 +146,88 @@ export function parseUrl(urlString) {
   }
 }
 
+// Parsed URLs per tab object, so pairwise comparisons parse each tab once
+const parsedTabUrls = new WeakMap();
+
+/**
+ * Parse a tab's URL, reusing the result while the tab's URL is unchanged
+ */
+function parseTabUrl(tab) {
+  const cached = parsedTabUrls.get(tab);
+  if (cached && cached.url === tab.url) return cached.parsed;
+
+  const parsed = parseUrl(tab.url);
+  parsedTabUrls.set(tab, { url: tab.url, parsed });
+  return parsed;
+}
+
+/**
+ * Get the compiled rules that apply to a parsed URL
+ */
+function getMatchingRules(parsed, rules) {
+  return rules.filter(rule =>
+    hostMatchesDomain(parsed.hostname, rule.host) &&
+    (!rule.pathRegex || rule.pathRegex.test(parsed.pathname))
+  );
+}
+
+/**
+ * Extract the document ID a rule identifies in a parsed URL, or null
+ */
+function extractRuleId(rule, parsed) {
+  if (rule.keyParam) {
+    return parsed.params[rule.keyParam] || null;
+  }
+  if (!rule.pathRegex) return null;
+
+  const match = parsed.pathname.match(rule.pathRegex);
+  const captures = match ? match.slice(1).filter(Boolean) : [];
+  return captures.length > 0 ? captures.join('/') : null;
+}
+
+/**
+ * Get the identity key a site rule extracts from a URL, or null
+ * e.g. every URL of one Google Doc maps to 'gdoc:doc:<id>'
+ */
+export function getIdentityKey(urlString, rules = DEFAULT_RULES) {
+  const parsed = parseUrl(urlString);
+  if (!parsed) return null;
+
+  for (const rule of getMatchingRules(parsed, rules)) {
+    const id = extractRuleId(rule, parsed);
+    if (id) {
+      const host = parsed.hostname.replace(/^www\./, '');
+      return rule.scopeKeyToHost ? `${rule.key}:${host}:${id}` : `${rule.key}:${id}`;
+    }
+  }
+  return null;
+}
+
 /**
  * Normalize a URL for exact matching
  */
-export function normalizeUrl(urlString) {
+export function normalizeUrl(urlString, rules = DEFAULT_RULES) {
   const parsed = parseUrl(urlString);
   if (!parsed) return urlString;
 
+  const matchingRules = getMatchingRules(parsed, rules);
+  const ignoredParams = new Set(matchingRules.flatMap(rule => [...rule.ignoreParams]));
+  const keepHash = matchingRules.some(rule => rule.ignoreHash === false);
+
   // Normalize hostname (remove www.)
   const hostname = parsed.hostname.replace(/^www\./, '');
 
   // Sort query params for consistent comparison
   const sortedParams = Object.keys(parsed.params)
+    .filter(k => !ignoredParams.has(k.toLowerCase()))
     .sort()
     .map(k => `${k}=${parsed.params[k]}`)
     .join('&');
 
   const query = sortedParams ? `?${sortedParams}` : '';
+  const hash = keepHash ? parsed.hash : '';
 
-  return `${parsed.protocol}//${hostname}${parsed.port ? ':' + parsed.port : ''}${parsed.pathname}${query}`;
+  return `${parsed.protocol}//${hostname}${parsed.port ? ':' + parsed.port : ''}${parsed.pathname}${query}${hash}`;
 }
 
 /**
@@ -87,109 +244,110 @@ export function normalizeUrlBase(urlString) {
 /**
  * Check if two URLs are exact duplicates after normalization
  */
-export function isExactDuplicate(url1, url2) {
-  return normalizeUrl(url1) === normalizeUrl(url2);
+export function isExactDuplicate(url1, url2, rules = DEFAULT_RULES) {
+  return normalizeUrl(url1, rules) === normalizeUrl(url2, rules);
 }
 
 /**
- * Calculate Levenshtein distance between two strings
+ * Get non-tracking query params
  */
-export function levenshteinDistance(str1, str2) {
-  const m = str1.length;
-  const n = str2.length;
-
-  if (m === 0) return n;
-  if (n === 0) return m;
-
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(
-        dp[i - 1][j] + 1,      // deletion
-        dp[i][j - 1] + 1,      // insertion
-        dp[i - 1][j - 1] + cost // substitution
-      );
+function getNonTrackingParams(params, trackingParams) {
+  const filtered = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (!trackingParams.has(key.toLowerCase())) {
+      filtered[key] = value;
     }
   }
+  return filtered;
+}
 
-  return dp[m][n];
+/**
+ * Check if params differ only by tracking parameters
+ */
+function differsByTrackingOnly(params1, params2, trackingParams) {
+  const clean1 = getNonTrackingParams(params1, trackingParams);
+  const clean2 = getNonTrackingParams(params2, trackingParams);
+  return JSON.stringify(clean1) === JSON.stringify(clean2);
 }
 
+// Normalized titles per tab object, like parsedTabUrls
+const normalizedTabTitles = new WeakMap();
+
 /**
- * Calculate similarity percentage between two strings
+ * Get the title findSimilarity compares, normalized if scoring asks for it
  */
-export function stringSimilarity(str1, str2) {
-  if (str1 === str2) return 100;
-  if (!str1 || !str2) return 0;
+function getComparableTitle(tab, scoring) {
+  if (!tab.title || !scoring.normalizeTitles) return tab.title;
 
-  const maxLen = Math.max(str1.length, str2.length);
-  const distance = levenshteinDistance(str1, str2);
-  return Math.round((1 - distance / maxLen) * 100);
+  const cached = normalizedTabTitles.get(tab);
+  if (cached && cached.title === tab.title) return cached.normalized;
+
+  const normalized = normalizeTitle(tab.title);
+  normalizedTabTitles.set(tab, { title: tab.title, normalized });
+  return normalized;
 }
 
 /**
- * Get non-tracking query params
+ * Rules findSimilarity can match on, by the id it reports in breakdown.rule
  */
-function getNonTrackingParams(params) {
-  const filtered = {};
-  for (const [key, value] of Object.entries(params)) {
-    if (!TRACKING_PARAMS.has(key.toLowerCase())) {
-      filtered[key] = value;
-    }
-  }
-  return filtered;
-}
+export const SIMILARITY_RULES = {
+  subdomain: 'Same path and query on www and non-www hosts',
+  section: 'Same path and query, only the #section differs',
+  trackingParams: 'Same path, only tracking parameters differ',
+  params: 'Same path, other query parameters differ',
+  ogTitle: 'Both pages declare the same og:title',
+  path: 'Paths alone are similar enough',
+  weighted: 'Weighted site, path and title scores'
+};
 
 /**
- * Check if params differ only by tracking parameters
+ * Result for a rule with a fixed score
  */
-function differsByTrackingOnly(params1, params2) {
-  const clean1 = getNonTrackingParams(params1);
-  const clean2 = getNonTrackingParams(params2);
-  return JSON.stringify(clean1) === JSON.stringify(clean2);
+function ruleMatch(rule, score, reason) {
+  return { similar: true, score, reason, breakdown: { rule, signals: [] } };
 }
 
 /**
  * Find similarity between two tabs
- * Returns { similar: boolean, score: number, reason: string }
+ * scoring picks the title metric and the weights of the overall score (see compileScoring)
+ * Returns { similar: boolean, score: number, reason: string, breakdown }, where
+ * breakdown is { rule, signals } - the SIMILARITY_RULES id that decided the
+ * result and each { signal, score, weight, metric? } that fed the score.
+ * Scores below what the threshold needs may be upper bounds rather than exact.
+ * ogTitles holds the og:title each page declares, where it was read: [ogTitle1, ogTitle2]
  */
-export function findSimilarity(tab1, tab2, threshold = 80) {
-  const url1 = parseUrl(tab1.url);
-  const url2 = parseUrl(tab2.url);
+export function findSimilarity(tab1, tab2, threshold = 80, trackingParams = DEFAULT_TRACKING_PARAM_SET, scoring = DEFAULT_SCORING, ogTitles = []) {
+  const url1 = parseTabUrl(tab1);
+  const url2 = parseTabUrl(tab2);
 
   if (!url1 || !url2) {
-    return { similar: false, score: 0, reason: null };
+    return { similar: false, score: 0, reason: null, breakdown: null };
   }
 
   // Normalize hostnames (remove www.)
   const host1 = url1.hostname.replace(/^www\./, '');
   const host2 = url2.hostname.replace(/^www\./, '');
 
-  // Note: Google Workspace docs are handled separately in analyzeTabs via grouping
+  // Note: URLs with a site-rule identity key are handled separately in analyzeTabs via grouping
 
   // Check for subdomain variation (www vs non-www)
   if (url1.hostname !== url2.hostname && host1 === host2 && url1.pathname === url2.pathname) {
     const paramsMatch = JSON.stringify(url1.params) === JSON.stringify(url2.params);
     if (paramsMatch) {
-      return { similar: true, score: 95, reason: 'Same page on different subdomain' };
+      return ruleMatch('subdomain', 95, 'Same page on different subdomain');
     }
   }
 
   // Must be same base domain for other checks
   if (host1 !== host2) {
-    return { similar: false, score: 0, reason: null };
+    return { similar: false, score: 0, reason: null, breakdown: null };
   }
 
   // Same path, different hash/fragment
   if (url1.pathname === url2.pathname &&
       JSON.stringify(url1.params) === JSON.stringify(url2.params) &&
       url1.hash !== url2.hash) {
-    return { similar: true, score: 90, reason: 'Same page, different section' };
+    return ruleMatch('section', 90, 'Same page, different section');
   }
 
   // Same path, different query params
@@ -199,146 +357,256 @@ export function findSimilarity(tab1, tab2, threshold = 80) {
 
     if (params1Str !== params2Str) {
       // Check if only tracking params differ
-      if (differsByTrackingOnly(url1.params, url2.params)) {
-        return { similar: true, score: 95, reason: 'Same page with tracking parameters' };
+      if (differsByTrackingOnly(url1.params, url2.params, trackingParams)) {
+        return ruleMatch('trackingParams', 95, 'Same page with tracking parameters');
       }
-      return { similar: true, score: 85, reason: 'Same page, different parameters' };
+      return ruleMatch('params', 85, 'Same page, different parameters');
     }
   }
 
-  // Similar path (Levenshtein)
-  const pathSimilarity = stringSimilarity(url1.pathname, url2.pathname);
-  if (pathSimilarity >= threshold && pathSimilarity < 100) {
+  // Same article title declared by both pages (read with the canonical URL).
+  // Only ever within one site, and only a similar pair, as unrelated pages can share
+  // generic titles like 'Home'.
+  const [ogTitle1, ogTitle2] = ogTitles;
+  if (ogTitle1 && ogTitle1 === ogTitle2) {
+    return ruleMatch('ogTitle', 90, 'Same article title');
+  }
+
+  // Similar path (Levenshtein), bounded by the lowest path score that could
+  // still reach the threshold in the weighted score below
+  const { weights } = scoring;
+  const domainScore = host1 === host2 ? 100 : 0;
+  const minPathScore = weights.path > 0
+    ? Math.min(threshold, Math.floor((threshold - 1 - domainScore * weights.domain - 100 * weights.title) / weights.path))
+    : threshold;
+  const pathScore = stringSimilarity(url1.pathname, url2.pathname, minPathScore);
+  if (pathScore >= threshold && pathScore < 100) {
     return {
       similar: true,
-      score: pathSimilarity,
-      reason: `Similar page paths (${pathSimilarity}% match)`
+      score: pathScore,
+      reason: `Similar page paths (${pathScore}% match)`,
+      breakdown: { rule: 'path', signals: [{ signal: 'path', score: pathScore, weight: 1 }] }
     };
   }
 
   // Calculate weighted similarity score
-  const domainScore = host1 === host2 ? 100 : 0;
-  const pathScore = stringSimilarity(url1.pathname, url2.pathname);
-  const titleScore = tab1.title && tab2.title ? stringSimilarity(tab1.title, tab2.title) : 0;
+  const title1 = getComparableTitle(tab1, scoring);
+  const title2 = getComparableTitle(tab2, scoring);
+  let titleScore = 0;
+  if (weights.title > 0 && title1 && title2) {
+    const minTitleScore = Math.floor((threshold - 1 - domainScore * weights.domain - pathScore * weights.path) / weights.title);
+    // Above 100 not even identical titles reach the threshold - skip the metric
+    if (minTitleScore <= 100) {
+      titleScore = TITLE_METRICS[scoring.titleMetric].score(title1, title2, minTitleScore);
+    }
+  }
 
   const weightedScore = Math.round(
-    domainScore * 0.4 +
-    pathScore * 0.4 +
-    titleScore * 0.2
+    domainScore * weights.domain +
+    pathScore * weights.path +
+    titleScore * weights.title
   );
+  const breakdown = {
+    rule: 'weighted',
+    signals: [
+      { signal: 'domain', score: domainScore, weight: weights.domain },
+      { signal: 'path', score: pathScore, weight: weights.path },
+      { signal: 'title', score: titleScore, weight: weights.title, metric: scoring.titleMetric }
+    ]
+  };
 
   if (weightedScore >= threshold) {
     return {
       similar: true,
       score: weightedScore,
-      reason: `${weightedScore}% overall similarity`
+      reason: `${weightedScore}% overall similarity`,
+      breakdown
     };
   }
 
-  return { similar: false, score: weightedScore, reason: null };
+  return { similar: false, score: weightedScore, reason: null, breakdown };
 }
 
 /**
- * Analyze all tabs and find duplicates/similar tabs
+ * Get the key used to block similar-tab comparisons by site
+ * findSimilarity never matches tabs whose hostnames differ beyond "www."
  */
-export function analyzeTabs(tabs, threshold = 80) {
-  const exactDuplicates = new Map();
-  const similarPairs = [];
-  const processed = new Set();
-
-  // Filter valid tabs
-  const validTabs = tabs.filter(tab =>
-    tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')
-  );
-
-  // Find exact duplicates by normalized URL
-  for (const tab of validTabs) {
-    const normalized = normalizeUrl(tab.url);
-    if (!exactDuplicates.has(normalized)) {
-      exactDuplicates.set(normalized, []);
-    }
-    exactDuplicates.get(normalized).push(tab);
-  }
+export function getHostKey(urlString) {
+  const parsed = parseUrl(urlString);
+  return parsed ? parsed.hostname.replace(/^www\./, '') : urlString;
+}
 
-  // Also group Google Docs by document ID (treat same doc as exact duplicate)
-  const googleDocGroups = new Map();
-  for (const tab of validTabs) {
-    if (tab.url && tab.url.includes('docs.google.com')) {
-      const parsed = parseUrl(tab.url);
-      if (parsed) {
-        const googleDoc = getGoogleDocId(parsed.hostname, parsed.pathname);
-        if (googleDoc) {
-          const key = 'gdoc:' + googleDoc.type + ':' + googleDoc.docId;
-          if (!googleDocGroups.has(key)) googleDocGroups.set(key, []);
-          googleDocGroups.get(key).push(tab);
-        }
-      }
-    }
-  }
+/**
+ * Get the distinct windows a set of tabs is spread across
+ */
+function getWindowIds(tabs) {
+  return [...new Set(tabs.map(t => t.windowId))];
+}
 
-  // Build duplicate groups from both URL matches and Google Doc matches
+/**
+ * Build duplicate groups from site-rule identity groups and normalized URL groups
+ * Both map a grouping key to an array of tabs. canonicalUrls maps a normalized
+ * URL to the normalized canonical URL its page declares, if known.
+ */
+export function buildDuplicateGroups(identityGroups, urlGroups, canonicalUrls = new Map()) {
   const duplicateGroups = [];
   const tabsInDuplicateGroups = new Set();
 
-  // First, add Google Doc groups (these take priority)
-  for (const [key, tabGroup] of googleDocGroups) {
+  // First, add identity groups such as Google Docs (these take priority)
+  for (const [key, tabGroup] of identityGroups) {
     if (tabGroup.length > 1) {
       duplicateGroups.push({
         normalizedUrl: key,
+        reason: 'Same document',
         tabs: tabGroup,
-        count: tabGroup.length
+        count: tabGroup.length,
+        windowIds: getWindowIds(tabGroup)
       });
       tabGroup.forEach(t => tabsInDuplicateGroups.add(t.id));
     }
   }
 
-  // Then add URL-based duplicates (only if not already in a Google Doc group)
-  for (const [url, tabGroup] of exactDuplicates) {
+  // Then merge URL groups that share a canonical URL (AMP, mobile and paginated versions
+  // of one article). A page that declares none is its own canonical, so a copy pointing
+  // at it joins it. URL groups left on their own stay exact duplicates.
+  const canonicalGroups = new Map();
+  for (const [url, tabGroup] of urlGroups) {
+    const canonical = canonicalUrls.get(url) ?? url;
+    if (!canonicalGroups.has(canonical)) canonicalGroups.set(canonical, []);
+    canonicalGroups.get(canonical).push(tabGroup);
+  }
+  for (const [canonical, tabGroups] of canonicalGroups) {
+    if (tabGroups.length < 2) continue;
+    const merged = tabGroups.flat().filter(t => !tabsInDuplicateGroups.has(t.id));
+    if (merged.length > 1) {
+      duplicateGroups.push({
+        normalizedUrl: canonical,
+        reason: 'Same canonical URL',
+        tabs: merged,
+        count: merged.length,
+        windowIds: getWindowIds(merged)
+      });
+      merged.forEach(t => tabsInDuplicateGroups.add(t.id));
+    }
+  }
+
+  // Then add URL-based duplicates (only if not already in an identity or canonical group)
+  for (const [url, tabGroup] of urlGroups) {
     const filteredGroup = tabGroup.filter(t => !tabsInDuplicateGroups.has(t.id));
     if (filteredGroup.length > 1) {
       duplicateGroups.push({
         normalizedUrl: url,
+        reason: 'Exact duplicate',
         tabs: filteredGroup,
-        count: filteredGroup.length
+        count: filteredGroup.length,
+        windowIds: getWindowIds(filteredGroup)
       });
       filteredGroup.forEach(t => tabsInDuplicateGroups.add(t.id));
     }
   }
 
-  // Find similar tabs (only among tabs not in any duplicate group)
-  const nonDuplicateTabs = validTabs.filter(tab => !tabsInDuplicateGroups.has(tab.id));
-
-  // For non-Google tabs, use the regular comparison (limited to 100)
-  const nonGoogleTabs = nonDuplicateTabs.filter(t => !t.url || !t.url.includes('docs.google.com')).slice(0, 100);
-
-  for (let i = 0; i < nonGoogleTabs.length; i++) {
-    for (let j = i + 1; j < nonGoogleTabs.length; j++) {
-      const tab1 = nonGoogleTabs[i];
-      const tab2 = nonGoogleTabs[j];
-
-      const pairKey = `${tab1.id}-${tab2.id}`;
-      if (processed.has(pairKey)) continue;
-      processed.add(pairKey);
-
-      const similarity = findSimilarity(tab1, tab2, threshold);
-      if (similarity.similar) {
-        similarPairs.push({
-          tab1,
-          tab2,
-          score: similarity.score,
-          reason: similarity.reason
-        });
-      }
-    }
-  }
+  return { duplicateGroups, tabsInDuplicateGroups };
+}
 
+/**
+ * Assemble the analysis result returned to the popup and badge
+ */
+export function summarizeAnalysis(duplicateGroups, similarPairs) {
   // Sort similar pairs by score descending
   similarPairs.sort((a, b) => b.score - a.score);
 
   return {
     exactDuplicates: duplicateGroups,
     similarTabs: similarPairs,
+    similarClusters: clusterSimilarPairs(similarPairs),
     totalDuplicates: duplicateGroups.reduce((sum, g) => sum + g.count - 1, 0),
     totalSimilar: similarPairs.length
   };
 }
+
+/**
+ * Analyze all tabs and find duplicates/similar tabs
+ * Options: threshold, compiled site rules, a Set of tracking params, an
+ * isIgnoredPair predicate over two normalized URLs (see compileIgnoreRules),
+ * the excludedDomains to leave out entirely, canonicalUrls and ogTitles mapping
+ * tab ids to the canonical URL and og:title their page declares, and the
+ * similarity scoring
+ */
+export function analyzeTabs(tabs, options = {}) {
+  const {
+    threshold = 80,
+    rules = DEFAULT_RULES,
+    trackingParams = DEFAULT_TRACKING_PARAM_SET,
+    isIgnoredPair = () => false,
+    excludedDomains = [],
+    canonicalUrls = new Map(),
+    ogTitles = new Map(),
+    scoring = DEFAULT_SCORING
+  } = options;
+  const urlKeys = new Map();
+  const urlGroups = new Map();
+  const identityGroups = new Map();
+  const identityTabs = new Set();
+  const similarPairs = [];
+
+  // Filter valid tabs
+  const validTabs = tabs.filter(tab => isScannableUrl(tab.url) && !isExcludedUrl(tab.url, excludedDomains));
+
+  // Group by normalized URL, and by site-rule identity key (treat same document as exact duplicate)
+  for (const tab of validTabs) {
+    const normalized = normalizeUrl(tab.url, rules);
+    urlKeys.set(tab.id, normalized);
+    if (!urlGroups.has(normalized)) urlGroups.set(normalized, []);
+    urlGroups.get(normalized).push(tab);
+
+    const identityKey = getIdentityKey(tab.url, rules);
+    if (identityKey) {
+      if (!identityGroups.has(identityKey)) identityGroups.set(identityKey, []);
+      identityGroups.get(identityKey).push(tab);
+      identityTabs.add(tab.id);
+    }
+  }
+
+  const canonicalByUrl = new Map();
+  for (const tab of validTabs) {
+    const canonical = canonicalUrls.get(tab.id);
+    if (canonical) canonicalByUrl.set(urlKeys.get(tab.id), normalizeUrl(canonical, rules));
+  }
+
+  const { duplicateGroups, tabsInDuplicateGroups } = buildDuplicateGroups(identityGroups, urlGroups, canonicalByUrl);
+
+  // Find similar tabs (only among tabs not in any duplicate group)
+  const nonDuplicateTabs = validTabs.filter(tab => !tabsInDuplicateGroups.has(tab.id));
+
+  // Tabs with an identity key are only grouped by it; compare the rest pairwise within each site
+  const hostBlocks = new Map();
+  for (const tab of nonDuplicateTabs.filter(t => !identityTabs.has(t.id))) {
+    const hostKey = getHostKey(tab.url);
+    if (!hostBlocks.has(hostKey)) hostBlocks.set(hostKey, []);
+    hostBlocks.get(hostKey).push(tab);
+  }
+
+  for (const blockTabs of hostBlocks.values()) {
+    for (let i = 0; i < blockTabs.length; i++) {
+      for (let j = i + 1; j < blockTabs.length; j++) {
+        const tab1 = blockTabs[i];
+        const tab2 = blockTabs[j];
+        if (isIgnoredPair(urlKeys.get(tab1.id), urlKeys.get(tab2.id))) continue;
+
+        const pageTitles = [ogTitles.get(tab1.id), ogTitles.get(tab2.id)];
+        const similarity = findSimilarity(tab1, tab2, threshold, trackingParams, scoring, pageTitles);
+        if (similarity.similar) {
+          similarPairs.push({
+            tab1,
+            tab2,
+            score: similarity.score,
+            reason: similarity.reason,
+            breakdown: similarity.breakdown
+          });
+        }
+      }
+    }
+  }
+
+  return summarizeAnalysis(duplicateGroups, similarPairs);
+}
@@ -0,0 +1,98 @@
+/**
+ * Ignore Rules - similar pairs the user skipped, kept so they stay skipped
+ *
+ * A 'pair' rule ignores two specific pages. A 'pattern' rule ignores any two
+ * pages matching its patterns, where * matches anything and patterns are
+ * matched against the normalized URL without its scheme, e.g. example.com/docs/*
+ */
+
+import { normalizeUrl, normalizeUrlBase, DEFAULT_RULES } from './fuzzy-matcher.js';
+
+export const IGNORE_RULE_TYPES = {
+  pair: 'These two pages',
+  pattern: 'Pages matching a pattern'
+};
+
+/**
+ * Create an ignore rule, ordering a and b so the same pair is stored once
+ */
+export function createIgnoreRule(type, a, b) {
+  const [first, second] = [a, b].sort();
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    a: first,
+    b: second,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Add rules to a list, skipping any already in it
+ */
+export function addIgnoreRules(existing, rules) {
+  const seen = new Set(existing.map(rule => `${rule.type}\n${rule.a}\n${rule.b}`));
+  const added = rules.filter(rule => {
+    const key = `${rule.type}\n${rule.a}\n${rule.b}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return [...existing, ...added];
+}
+
+/**
+ * Suggest a pattern covering both URLs: their shared path prefix plus *
+ * Returns null if the URLs don't share a host
+ */
+export function suggestIgnorePattern(url1, url2) {
+  const base1 = stripScheme(normalizeUrlBase(url1));
+  const base2 = stripScheme(normalizeUrlBase(url2));
+
+  let common = 0;
+  while (common < base1.length && base1[common] === base2[common]) common++;
+
+  const prefix = base1.slice(0, common);
+  const lastSlash = prefix.lastIndexOf('/');
+  // Not even the host is shared - no useful pattern
+  if (lastSlash === -1) return null;
+  return `${prefix.slice(0, lastSlash + 1)}*`;
+}
+
+function stripScheme(url) {
+  return url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+}
+
+function patternToRegex(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Compile stored ignore rules into a predicate over two normalized URLs
+ * (the urlKey the index and analyzeTabs already compute with the same site rules)
+ */
+export function compileIgnoreRules(ignoreRules = [], rules = DEFAULT_RULES) {
+  const pairKeys = new Set();
+  const patterns = [];
+
+  for (const rule of ignoreRules) {
+    if (rule.type === 'pair') {
+      pairKeys.add([normalizeUrl(rule.a, rules), normalizeUrl(rule.b, rules)].sort().join('\n'));
+    } else if (rule.type === 'pattern') {
+      patterns.push({ a: patternToRegex(rule.a), b: patternToRegex(rule.b) });
+    }
+  }
+
+  if (pairKeys.size === 0 && patterns.length === 0) return () => false;
+
+  return function isIgnoredPair(urlKey1, urlKey2) {
+    if (pairKeys.has([urlKey1, urlKey2].sort().join('\n'))) return true;
+
+    const url1 = stripScheme(urlKey1);
+    const url2 = stripScheme(urlKey2);
+    return patterns.some(({ a, b }) =>
+      (a.test(url1) && b.test(url2)) || (a.test(url2) && b.test(url1))
+    );
+  };
+}
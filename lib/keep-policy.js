@@ -0,0 +1,83 @@
+/**
+ * Keep Policy - decides which tab of a duplicate group survives a cleanup
+ */
+
+export const KEEP_POLICIES = {
+  tabOrder: 'First in tab order',
+  lastAccessed: 'Most recently used',
+  oldest: 'Oldest tab',
+  pinned: 'Pinned tab',
+  audible: 'Tab playing audio',
+  focusedWindow: 'Tab in the focused window',
+  tabGroup: 'Tab in a tab group',
+  longestHistory: 'Tab with the longest history'
+};
+
+export const DEFAULT_KEEP_POLICY = 'tabOrder';
+
+/**
+ * Score a tab under a policy - the highest score is kept
+ * context: { focusedWindowId, historyLengths: { [tabId]: number } }
+ */
+function scoreTab(tab, policy, context) {
+  switch (policy) {
+    case 'lastAccessed':
+      return tab.lastAccessed || 0;
+    case 'oldest':
+      // Tab ids increase as tabs are created, so the lowest id is the oldest tab
+      return -tab.id;
+    case 'pinned':
+      return tab.pinned ? 1 : 0;
+    case 'audible':
+      return tab.audible ? 1 : 0;
+    case 'focusedWindow':
+      return tab.windowId === context.focusedWindowId ? 1 : 0;
+    case 'tabGroup':
+      return tab.groupId !== undefined && tab.groupId !== -1 ? 1 : 0;
+    case 'longestHistory':
+      return (context.historyLengths && context.historyLengths[tab.id]) || 0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Choose the tab to keep from a group of duplicates
+ * The active tab is always kept. Otherwise the policy decides, with ties
+ * going to the tab that comes first in the group.
+ */
+export function chooseTabToKeep(tabs, policy = DEFAULT_KEEP_POLICY, context = {}) {
+  const activeTab = tabs.find(t => t.id === context.activeTabId);
+  if (activeTab) return activeTab;
+
+  let best = tabs[0];
+  let bestScore = scoreTab(best, policy, context);
+  for (const tab of tabs.slice(1)) {
+    const score = scoreTab(tab, policy, context);
+    if (score > bestScore) {
+      best = tab;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the ids of every tab in the duplicate groups except each group's keepTabId
+ */
+export function getTabsToClose(groups) {
+  return groups.flatMap(group => group.tabs.filter(tab => tab.id !== group.keepTabId).map(tab => tab.id));
+}
+
+/**
+ * Map each tab getTabsToClose would close to its group's reason, for the stats log
+ */
+export function getCloseReasons(groups) {
+  const reasons = {};
+  for (const group of groups) {
+    for (const tab of group.tabs) {
+      if (tab.id !== group.keepTabId) reasons[tab.id] = group.reason;
+    }
+  }
+  return reasons;
+}
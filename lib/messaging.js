@@ -0,0 +1,16 @@
+/**
+ * Messaging - how extension pages call the service worker's message API
+ * Analysis lives in the service worker so the popup and badge always agree
+ */
+
+/**
+ * Send a message to the service worker and return its reply
+ * Throws the error the service worker replied with, if any
+ */
+export async function sendMessage(type, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, ...payload });
+  if (response && response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
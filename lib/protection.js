@@ -0,0 +1,33 @@
+/**
+ * Tab Protection - tabs that no close path is allowed to remove
+ */
+
+/**
+ * Get why a tab is protected from closing, or null if it may be closed
+ * dirtyTabIds holds tabs found to have unsaved form input
+ */
+export function getProtectionReason(tab, settings, dirtyTabIds = new Set()) {
+  if (settings.protectPinned && tab.pinned) return 'pinned';
+  if (settings.protectAudible && tab.audible) return 'playing audio';
+  if (settings.protectUnsavedForms && dirtyTabIds.has(tab.id)) return 'has unsaved input';
+  return null;
+}
+
+/**
+ * Runs inside a page: does it have form input the user would lose?
+ * Only beforeunload handlers set through window.onbeforeunload can be seen.
+ */
+export function detectUnsavedInput() {
+  if (typeof window.onbeforeunload === 'function') return true;
+
+  for (const el of document.querySelectorAll('input, textarea, select')) {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      if (el.checked !== el.defaultChecked) return true;
+    } else if (el.tagName === 'SELECT') {
+      if ([...el.options].some(option => option.selected !== option.defaultSelected)) return true;
+    } else if (!['hidden', 'submit', 'button', 'reset', 'image'].includes(el.type)) {
+      if (el.value !== el.defaultValue) return true;
+    }
+  }
+  return false;
+}
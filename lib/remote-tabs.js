@@ -0,0 +1,47 @@
+/**
+ * Remote Tabs - local tabs that are also open on another synced device
+ */
+
+import { isScannableUrl, isExcludedUrl, DEFAULT_RULES } from './fuzzy-matcher.js';
+import { getSessionKey } from './snapshots.js';
+
+/**
+ * Flatten chrome.sessions.getDevices() results into { url, title, deviceName }
+ * Each device session holds either a whole window or a single tab
+ */
+export function getRemoteTabs(devices) {
+  const remoteTabs = [];
+  for (const { deviceName, sessions } of devices) {
+    for (const session of sessions) {
+      const tabs = session.window ? session.window.tabs || [] : session.tab ? [session.tab] : [];
+      for (const tab of tabs) {
+        if (isScannableUrl(tab.url)) {
+          remoteTabs.push({ url: tab.url, title: tab.title || '', deviceName });
+        }
+      }
+    }
+  }
+  return remoteTabs;
+}
+
+/**
+ * Find local tabs whose page is open on another device, matched by normalized
+ * URL or site-rule identity key like exact duplicates are
+ * Returns [{ tab, devices }] in local tab order, devices being the device names
+ */
+export function findRemoteDuplicates(localTabs, remoteTabs, { rules = DEFAULT_RULES, excludedDomains = [] } = {}) {
+  const devicesByKey = new Map();
+  for (const remote of remoteTabs) {
+    const key = getSessionKey(remote.url, rules);
+    if (!devicesByKey.has(key)) devicesByKey.set(key, new Set());
+    devicesByKey.get(key).add(remote.deviceName);
+  }
+
+  const duplicates = [];
+  for (const tab of localTabs) {
+    if (!isScannableUrl(tab.url) || isExcludedUrl(tab.url, excludedDomains)) continue;
+    const devices = devicesByKey.get(getSessionKey(tab.url, rules));
+    if (devices) duplicates.push({ tab, devices: [...devices].sort() });
+  }
+  return duplicates;
+}
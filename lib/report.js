@@ -0,0 +1,112 @@
+/**
+ * Duplicate Report - an analysis as JSON, CSV or Markdown, for sharing
+ */
+
+import { toLocalDay, toLocalTime } from './dates.js';
+
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const CSV_COLUMNS = ['type', 'group', 'key', 'score', 'reason', 'windowId', 'title', 'url'];
+
+function reportTab(tab) {
+  return { title: tab.title || '', url: tab.url, windowId: tab.windowId };
+}
+
+/**
+ * Reduce an analysis to the plain data a report shows
+ * Returns { generatedAt, exactDuplicates, similarPairs }
+ */
+export function createReport(analysis, generatedAt = new Date()) {
+  return {
+    generatedAt: generatedAt.toISOString(),
+    exactDuplicates: analysis.exactDuplicates.map(group => ({
+      normalizedUrl: group.normalizedUrl,
+      reason: group.reason,
+      windowIds: group.windowIds,
+      tabs: group.tabs.map(reportTab)
+    })),
+    similarPairs: analysis.similarTabs.map(pair => ({
+      score: pair.score,
+      reason: pair.reason,
+      tabs: [reportTab(pair.tab1), reportTab(pair.tab2)]
+    }))
+  };
+}
+
+function toJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per tab; tabs of the same group or pair share a group number
+function toCsv(report) {
+  const rows = [CSV_COLUMNS];
+  report.exactDuplicates.forEach((group, i) => {
+    for (const tab of group.tabs) {
+      rows.push(['exact', i + 1, group.normalizedUrl, '', group.reason, tab.windowId, tab.title, tab.url]);
+    }
+  });
+  report.similarPairs.forEach((pair, i) => {
+    for (const tab of pair.tabs) {
+      rows.push(['similar', i + 1, '', pair.score, pair.reason, tab.windowId, tab.title, tab.url]);
+    }
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownLink(tab) {
+  const text = (tab.title || tab.url).replace(/([\\[\]])/g, '\\$1');
+  const url = tab.url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+  return `[${text}](${url})`;
+}
+
+function toMarkdown(report) {
+  const lines = ['# Duplicate tab report', '', `Generated ${toLocalTime(report.generatedAt)}`];
+
+  if (report.exactDuplicates.length > 0) {
+    lines.push('', `## Exact duplicates (${report.exactDuplicates.length})`);
+    for (const group of report.exactDuplicates) {
+      const windows = group.windowIds.length > 1 ? ` in ${group.windowIds.length} windows` : '';
+      lines.push('', `### ${group.normalizedUrl}`, '', `${group.reason}, ${group.tabs.length} tabs${windows}`, '');
+      lines.push(...group.tabs.map(tab => `- ${markdownLink(tab)}`));
+    }
+  }
+
+  if (report.similarPairs.length > 0) {
+    lines.push('', `## Similar tabs (${report.similarPairs.length})`, '');
+    for (const pair of report.similarPairs) {
+      lines.push(`- ${pair.score}%, ${pair.reason}: ${pair.tabs.map(markdownLink).join(' and ')}`);
+    }
+  }
+
+  if (report.exactDuplicates.length === 0 && report.similarPairs.length === 0) {
+    lines.push('', 'No duplicate or similar tabs.');
+  }
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = { json: toJson, csv: toCsv, markdown: toMarkdown };
+
+/**
+ * Format an analysis as one of REPORT_FORMATS
+ */
+export function formatReport(analysis, format, generatedAt = new Date()) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) throw new Error(`Unknown report format: ${format}`);
+  return formatter(createReport(analysis, generatedAt));
+}
+
+/**
+ * File name for a downloaded report, e.g. duplicate-tabs-2026-10-19.md
+ */
+export function getReportFilename(format, date = new Date()) {
+  return `duplicate-tabs-${toLocalDay(date)}.${REPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,47 @@
+/**
+ * Scan Scope - which tabs an analysis looks at
+ */
+
+import { summarizeAnalysis } from './fuzzy-matcher.js';
+
+export const SCOPES = {
+  all: 'All windows',
+  currentWindow: 'Current window',
+  crossWindow: 'Across windows only',
+  tabGroup: 'Tab group'
+};
+
+export const DEFAULT_SCOPE = 'all';
+
+/**
+ * Create a predicate for the tabs inside a scope
+ * windowId is the window the scan was started from
+ */
+export function createScopeFilter(scope, { windowId, tabGroupId } = {}) {
+  switch (scope) {
+    case 'currentWindow':
+      return tab => tab.windowId === windowId;
+    case 'tabGroup':
+      return tab => tab.groupId === tabGroupId;
+    default:
+      return () => true;
+  }
+}
+
+/**
+ * Keep only duplicate groups and similar pairs that span more than one window
+ */
+export function restrictToCrossWindow(analysis) {
+  return summarizeAnalysis(
+    analysis.exactDuplicates.filter(group => group.windowIds.length > 1),
+    analysis.similarTabs.filter(pair => pair.tab1.windowId !== pair.tab2.windowId)
+  );
+}
+
+/**
+ * Narrow an index analysis to a scope
+ */
+export function getScopedAnalysis(index, scope, { windowId, tabGroupId } = {}) {
+  const analysis = index.getAnalysis(createScopeFilter(scope, { windowId, tabGroupId }));
+  return scope === 'crossWindow' ? restrictToCrossWindow(analysis) : analysis;
+}
@@ -0,0 +1,271 @@
+/**
+ * Settings storage shared by the popup, options page and service worker
+ *
+ * Settings sync between the user's browsers through storage.sync, except the
+ * few in LOCAL_SETTINGS that only mean something on this machine or can grow
+ * past storage.sync's 8 KB per item.
+ */
+
+import { compileRules, validateRule, DEFAULT_TRACKING_PARAMS } from './fuzzy-matcher.js';
+import { KEEP_POLICIES, DEFAULT_KEEP_POLICY } from './keep-policy.js';
+import { SCOPES, DEFAULT_SCOPE } from './scope.js';
+import { compileIgnoreRules, IGNORE_RULE_TYPES } from './ignore-rules.js';
+import { compileScoring, TITLE_METRICS } from './similarity.js';
+
+export const DEFAULT_SETTINGS = {
+  threshold: 80,
+  autoDedupe: false,
+  promptOnDuplicate: true,
+  autoDedupeAllowlist: [],
+  autoDedupeDenylist: [],
+  siteRules: [],
+  trackingParams: DEFAULT_TRACKING_PARAMS,
+  keepPolicy: DEFAULT_KEEP_POLICY,
+  protectPinned: true,
+  protectAudible: true,
+  protectUnsavedForms: false,
+  staleDays: 7,
+  scope: DEFAULT_SCOPE,
+  scopeTabGroupId: null,
+  badgeFollowsScope: false,
+  ignoreRules: [],
+  excludedDomains: [],
+  useCanonicalUrls: false,
+  titleMetric: 'levenshtein',
+  normalizeTitles: true,
+  similarityWeights: { domain: 40, path: 40, title: 20 }
+};
+
+// Optional permission for settings that look inside pages
+export const PAGE_ACCESS = { permissions: ['scripting'], origins: ['<all_urls>'] };
+
+// Settings that change how tabs are keyed or scored, so a change needs a full rescan
+export const MATCHER_SETTINGS = [
+  'siteRules',
+  'trackingParams',
+  'ignoreRules',
+  'excludedDomains',
+  'useCanonicalUrls',
+  'titleMetric',
+  'normalizeTitles',
+  'similarityWeights'
+];
+
+// Settings that only make sense on this machine (tab group ids aren't shared
+// between browsers) - kept out of sync and out of exports
+const MACHINE_SETTINGS = ['scopeTabGroupId'];
+
+// Settings kept in storage.local: the machine-only ones, and lists with no size
+// limit that would hit storage.sync's per-item quota
+export const LOCAL_SETTINGS = [...MACHINE_SETTINGS, 'siteRules', 'ignoreRules'];
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+const SYNCED_SETTINGS = SETTING_KEYS.filter(key => !LOCAL_SETTINGS.includes(key));
+const EXPORTED_SETTINGS = SETTING_KEYS.filter(key => !MACHINE_SETTINGS.includes(key));
+
+// Bump when the stored settings change shape or place, and add a migration for it
+export const SETTINGS_VERSION = 2;
+const VERSION_KEY = 'settingsVersion';
+
+// Each migration upgrades a settings object from the version before it
+const MIGRATIONS = {
+  // v1 moved settings from storage.local to storage.sync; the shape is unchanged
+  1: settings => settings,
+  // v2 moved siteRules and ignoreRules back to storage.local; the shape is unchanged
+  2: settings => settings
+};
+
+/**
+ * Upgrade a settings object written by an older version
+ */
+export function migrateSettings(settings, fromVersion) {
+  let migrated = { ...settings };
+  for (let version = fromVersion + 1; version <= SETTINGS_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Bring stored settings up to SETTINGS_VERSION, moving each setting to the
+ * storage area it now belongs in
+ *
+ * Settings are written to their new place before the old copies are removed,
+ * so a failed write (e.g. over the sync quota) loses nothing and is retried on
+ * the next load.
+ */
+async function migrateStoredSettings() {
+  const { [VERSION_KEY]: version = 0 } = await chrome.storage.sync.get(VERSION_KEY);
+  if (version >= SETTINGS_VERSION) return;
+
+  const [synced, local] = await Promise.all([
+    chrome.storage.sync.get(SETTING_KEYS),
+    chrome.storage.local.get(SETTING_KEYS)
+  ]);
+  const migrated = splitSettings(migrateSettings({ ...local, ...synced }, version));
+
+  await chrome.storage.local.set(migrated.local);
+  await chrome.storage.sync.set({ ...migrated.synced, [VERSION_KEY]: SETTINGS_VERSION });
+
+  await chrome.storage.local.remove(Object.keys(local).filter(key => !LOCAL_SETTINGS.includes(key)));
+  await chrome.storage.sync.remove(Object.keys(synced).filter(key => LOCAL_SETTINGS.includes(key)));
+}
+
+// Migrate once per page or worker, before the first load; a failed
+// migration is tried again on the next load
+let migration = null;
+
+function ensureMigrated() {
+  if (!migration) {
+    migration = migrateStoredSettings().catch(e => {
+      console.warn('Could not migrate settings:', e);
+      migration = null;
+    });
+  }
+  return migration;
+}
+
+/**
+ * Split a settings object into its synced and machine-local parts
+ */
+function splitSettings(settings) {
+  const synced = {};
+  const local = {};
+  for (const [key, value] of Object.entries(settings)) {
+    (LOCAL_SETTINGS.includes(key) ? local : synced)[key] = value;
+  }
+  return { synced, local };
+}
+
+/**
+ * Load settings from storage, falling back to defaults for missing keys
+ */
+export async function loadSettings() {
+  try {
+    if (chrome.storage && chrome.storage.sync) {
+      await ensureMigrated();
+      const synced = await chrome.storage.sync.get(SYNCED_SETTINGS);
+      const local = await chrome.storage.local.get(LOCAL_SETTINGS);
+      return { ...DEFAULT_SETTINGS, ...synced, ...local };
+    }
+  } catch (e) {
+    console.warn('Could not load settings:', e);
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Persist a partial settings object
+ * Throws if storage refuses the write (e.g. the sync quota), so callers can tell the user
+ */
+export async function saveSettings(changes) {
+  if (!(chrome.storage && chrome.storage.sync)) return;
+
+  await ensureMigrated();
+  const { synced, local } = splitSettings(changes);
+  if (Object.keys(synced).length) await chrome.storage.sync.set(synced);
+  if (Object.keys(local).length) await chrome.storage.local.set(local);
+}
+
+/**
+ * Export the settings as a JSON string others can import, leaving out the machine-only ones
+ */
+export function exportSettings(settings) {
+  const exported = {};
+  for (const key of EXPORTED_SETTINGS) {
+    if (key in settings) exported[key] = settings[key];
+  }
+  return JSON.stringify({ version: SETTINGS_VERSION, exportedAt: new Date().toISOString(), settings: exported }, null, 2);
+}
+
+const isStringList = value => value.every(item => typeof item === 'string');
+const isOneOf = choices => value => Object.hasOwn(choices, value);
+
+// Checks beyond the type of the default value, for settings getMatcherOptions
+// and the pages rely on the shape of
+const SETTING_CHECKS = {
+  threshold: value => Number.isFinite(value) && value >= 0 && value <= 100,
+  staleDays: value => Number.isFinite(value) && value >= 1,
+  autoDedupeAllowlist: isStringList,
+  autoDedupeDenylist: isStringList,
+  trackingParams: isStringList,
+  excludedDomains: isStringList,
+  keepPolicy: isOneOf(KEEP_POLICIES),
+  scope: isOneOf(SCOPES),
+  titleMetric: isOneOf(TITLE_METRICS),
+  similarityWeights: value => value !== null &&
+    ['domain', 'path', 'title'].every(key => Number.isFinite(value[key]) && value[key] >= 0),
+  ignoreRules: value => value.every(rule =>
+    rule !== null && typeof rule === 'object' &&
+    isOneOf(IGNORE_RULE_TYPES)(rule.type) &&
+    typeof rule.a === 'string' && typeof rule.b === 'string'
+  )
+};
+
+/**
+ * Parse and validate exported settings, migrating them from their version
+ * Returns { settings } with only known keys, or { error }
+ */
+export function parseImportedSettings(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+  if (!data || !data.settings || typeof data.settings !== 'object' || !Number.isInteger(data.version)) {
+    return { error: 'Not a settings export - expected { version, settings }' };
+  }
+  if (data.version > SETTINGS_VERSION) {
+    return { error: `Settings are from a newer version (${data.version}) of the extension` };
+  }
+
+  const migrated = migrateSettings(data.settings, data.version);
+  const settings = {};
+  for (const key of EXPORTED_SETTINGS) {
+    if (!(key in migrated)) continue;
+    const expected = DEFAULT_SETTINGS[key];
+    const value = migrated[key];
+    const valid = Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected;
+    if (!valid) return { error: `Setting "${key}" has the wrong type` };
+    if (SETTING_CHECKS[key] && !SETTING_CHECKS[key](value)) {
+      return { error: `Setting "${key}" has an invalid value` };
+    }
+    settings[key] = value;
+  }
+
+  for (let i = 0; i < (settings.siteRules || []).length; i++) {
+    const error = validateRule(settings.siteRules[i]);
+    if (error) return { error: `Site rule ${i + 1}: ${error}` };
+  }
+  return { settings };
+}
+
+/**
+ * Build the analyzeTabs / createTabIndex options from settings
+ */
+export function getMatcherOptions(settings) {
+  const rules = compileRules(settings.siteRules);
+  return {
+    threshold: settings.threshold,
+    rules,
+    trackingParams: new Set(settings.trackingParams.map(p => p.toLowerCase())),
+    isIgnoredPair: compileIgnoreRules(settings.ignoreRules, rules),
+    excludedDomains: settings.excludedDomains,
+    scoring: compileScoring({
+      weights: settings.similarityWeights,
+      titleMetric: settings.titleMetric,
+      normalizeTitles: settings.normalizeTitles
+    })
+  };
+}
+
+/**
+ * Parse a newline/comma separated list of domains from a settings textarea
+ */
+export function parseDomainList(text) {
+  return text
+    .split(/[\s,]+/)
+    .map(d => d.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+}
@@ -0,0 +1,90 @@
+/**
+ * Similar Clusters - merges similar tab pairs into groups with union-find
+ */
+
+/**
+ * Create a union-find over tab ids
+ */
+function createUnionFind() {
+  const parent = new Map();
+
+  function find(id) {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  }
+
+  function union(a, b) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return false;
+    parent.set(rootB, rootA);
+    return true;
+  }
+
+  return { find, union };
+}
+
+/**
+ * Merge similar pairs into clusters of tabs that are all transitively similar
+ *
+ * Pairs are merged strongest first, so each cluster's score is the weakest
+ * link that was needed to connect it. The representative is the tab with the
+ * highest total score against the rest of its cluster.
+ * Returns clusters sorted by score descending:
+ * { tabs, representative, score, reasons, pairs }
+ */
+export function clusterSimilarPairs(pairs) {
+  const unionFind = createUnionFind();
+  const linkScores = new Map(); // root id -> weakest linking score
+
+  const sorted = [...pairs].sort((a, b) => b.score - a.score);
+  for (const pair of sorted) {
+    const rootA = unionFind.find(pair.tab1.id);
+    const rootB = unionFind.find(pair.tab2.id);
+    if (rootA === rootB) continue;
+
+    const score = Math.min(pair.score, linkScores.get(rootA) ?? 100, linkScores.get(rootB) ?? 100);
+    unionFind.union(rootA, rootB);
+    linkScores.set(unionFind.find(rootA), score);
+  }
+
+  const clusters = new Map(); // root id -> cluster
+  for (const pair of sorted) {
+    const root = unionFind.find(pair.tab1.id);
+    if (!clusters.has(root)) {
+      clusters.set(root, { tabs: new Map(), totals: new Map(), reasons: new Set(), pairs: [] });
+    }
+    const cluster = clusters.get(root);
+    cluster.pairs.push(pair);
+    cluster.reasons.add(pair.reason);
+    for (const tab of [pair.tab1, pair.tab2]) {
+      cluster.tabs.set(tab.id, tab);
+      cluster.totals.set(tab.id, (cluster.totals.get(tab.id) || 0) + pair.score);
+    }
+  }
+
+  const result = [];
+  for (const [root, cluster] of clusters) {
+    const tabs = [...cluster.tabs.values()];
+    const representative = tabs.reduce((best, tab) =>
+      cluster.totals.get(tab.id) > cluster.totals.get(best.id) ? tab : best
+    );
+    result.push({
+      tabs,
+      representative,
+      score: linkScores.get(root),
+      reasons: [...cluster.reasons],
+      pairs: cluster.pairs
+    });
+  }
+
+  return result.sort((a, b) => b.score - a.score);
+}
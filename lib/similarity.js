@@ -0,0 +1,196 @@
+/**
+ * Similarity - string metrics and title normalization used to score similar tabs
+ */
+
+/**
+ * Calculate Levenshtein distance between two strings
+ * With maxDistance, only a band around the diagonal is computed and the
+ * search stops early, returning maxDistance + 1 once the bound is exceeded.
+ */
+export function levenshteinDistance(str1, str2, maxDistance = Infinity) {
+  const m = str1.length;
+  const n = str2.length;
+
+  if (Math.abs(m - n) > maxDistance) return maxDistance + 1;
+  if (m === 0) return n;
+  if (n === 0) return m;
+
+  // Two rolling rows instead of the full m x n matrix
+  let prev = new Array(n + 1);
+  let curr = new Array(n + 1);
+  for (let j = 0; j <= n; j++) prev[j] = j;
+
+  for (let i = 1; i <= m; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(n, i + maxDistance);
+
+    curr[0] = i;
+    if (from > 1) curr[from - 1] = Infinity; // Cells outside the band
+    let rowMin = from === 1 ? i : Infinity;
+
+    for (let j = from; j <= to; j++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      curr[j] = Math.min(
+        prev[j] + 1,        // deletion
+        curr[j - 1] + 1,    // insertion
+        prev[j - 1] + cost  // substitution
+      );
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (to < n) curr[to + 1] = Infinity;
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [prev, curr] = [curr, prev];
+  }
+
+  return prev[n] > maxDistance ? maxDistance + 1 : prev[n];
+}
+
+/**
+ * Calculate similarity percentage between two strings
+ * Scores at or above minSimilarity are exact; below it the result is only
+ * guaranteed to stay below minSimilarity, which lets the edit distance stop early.
+ */
+export function stringSimilarity(str1, str2, minSimilarity = 0) {
+  if (str1 === str2) return 100;
+  if (!str1 || !str2) return 0;
+
+  const maxLen = Math.max(str1.length, str2.length);
+  const maxDistance = minSimilarity > 0
+    ? Math.max(0, Math.floor(maxLen * (1 - (Math.min(minSimilarity, 100) - 0.5) / 100)))
+    : Infinity;
+  const distance = levenshteinDistance(str1, str2, maxDistance);
+  return Math.min(100, Math.max(0, Math.round((1 - distance / maxLen) * 100)));
+}
+
+/**
+ * Split a string into a set of lowercase word tokens
+ */
+function tokenize(str) {
+  return new Set(str.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function countShared(tokens1, tokens2) {
+  let shared = 0;
+  for (const token of tokens1) {
+    if (tokens2.has(token)) shared++;
+  }
+  return shared;
+}
+
+/**
+ * Jaccard similarity of word tokens: shared / all distinct words, as a percentage
+ */
+export function jaccardSimilarity(str1, str2) {
+  if (str1 === str2) return 100;
+  const tokens1 = tokenize(str1);
+  const tokens2 = tokenize(str2);
+  if (tokens1.size === 0 || tokens2.size === 0) return 0;
+
+  const shared = countShared(tokens1, tokens2);
+  return Math.round((shared / (tokens1.size + tokens2.size - shared)) * 100);
+}
+
+/**
+ * Dice coefficient of word tokens: twice the shared words / total words, as a percentage
+ */
+export function diceSimilarity(str1, str2) {
+  if (str1 === str2) return 100;
+  const tokens1 = tokenize(str1);
+  const tokens2 = tokenize(str2);
+  if (tokens1.size === 0 || tokens2.size === 0) return 0;
+
+  return Math.round((2 * countShared(tokens1, tokens2) / (tokens1.size + tokens2.size)) * 100);
+}
+
+/**
+ * Length of the longest common subsequence of two strings
+ */
+export function longestCommonSubsequence(str1, str2) {
+  const n = str2.length;
+  let prev = new Array(n + 1).fill(0);
+  let curr = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= str1.length; i++) {
+    for (let j = 1; j <= n; j++) {
+      curr[j] = str1[i - 1] === str2[j - 1]
+        ? prev[j - 1] + 1
+        : Math.max(prev[j], curr[j - 1]);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[n];
+}
+
+/**
+ * LCS similarity: characters kept in order by both strings, as a percentage of their average length
+ */
+export function lcsSimilarity(str1, str2) {
+  if (str1 === str2) return 100;
+  if (!str1 || !str2) return 0;
+  return Math.round((2 * longestCommonSubsequence(str1, str2) / (str1.length + str2.length)) * 100);
+}
+
+/**
+ * Metrics available for comparing titles
+ * Each takes (str1, str2, minSimilarity) and returns 0-100; only Levenshtein
+ * uses minSimilarity to stop early
+ */
+export const TITLE_METRICS = {
+  levenshtein: { label: 'Characters (Levenshtein)', score: stringSimilarity },
+  jaccard: { label: 'Shared words (Jaccard)', score: jaccardSimilarity },
+  dice: { label: 'Shared words (Dice)', score: diceSimilarity },
+  lcs: { label: 'Common subsequence (LCS)', score: lcsSimilarity }
+};
+
+// Separators sites put between a page title and the site name
+const SUFFIX_SEPARATOR = /\s+[|\-–—·•:]\s+(?!.*\s[|\-–—·•:]\s)/;
+const MAX_SUFFIX_LENGTH = 40;
+
+/**
+ * Normalize a title for comparison
+ * Strips notification counters like "(3) " or "[12] ", a trailing site name
+ * after " | ", " - ", " – " and similar, and case and extra whitespace.
+ * "(3) Inbox – Gmail" and "(5) Inbox – Gmail" both become "inbox".
+ */
+export function normalizeTitle(title) {
+  let normalized = title.trim().replace(/^[([]\d+\+?[)\]]\s*/, '');
+
+  const match = normalized.match(SUFFIX_SEPARATOR);
+  if (match && match.index > 0 && normalized.length - match.index - match[0].length <= MAX_SUFFIX_LENGTH) {
+    normalized = normalized.slice(0, match.index);
+  }
+
+  return normalized.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Weights for the overall similar-tab score, as fractions
+ */
+export const DEFAULT_WEIGHTS = { domain: 0.4, path: 0.4, title: 0.2 };
+
+export const DEFAULT_SCORING = {
+  weights: DEFAULT_WEIGHTS,
+  titleMetric: 'levenshtein',
+  normalizeTitles: true
+};
+
+/**
+ * Build the scoring options findSimilarity takes from settings
+ * weights are percentages in any proportion; they are scaled to sum to 1.
+ * Unknown metrics fall back to Levenshtein.
+ */
+export function compileScoring({ weights = {}, titleMetric, normalizeTitles = true } = {}) {
+  const domain = Math.max(0, Number(weights.domain) || 0);
+  const path = Math.max(0, Number(weights.path) || 0);
+  const title = Math.max(0, Number(weights.title) || 0);
+  const total = domain + path + title;
+
+  return {
+    weights: total > 0
+      ? { domain: domain / total, path: path / total, title: title / total }
+      : DEFAULT_WEIGHTS,
+    titleMetric: TITLE_METRICS[titleMetric] ? titleMetric : DEFAULT_SCORING.titleMetric,
+    normalizeTitles
+  };
+}
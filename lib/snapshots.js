@@ -0,0 +1,57 @@
+/**
+ * Session Snapshots - the open windows and tabs, saved with duplicates collapsed
+ */
+
+import { getIdentityKey, normalizeUrl, isScannableUrl, DEFAULT_RULES } from './fuzzy-matcher.js';
+
+/**
+ * Get the key two copies of one page share: the site-rule identity key
+ * (e.g. one Google Doc), otherwise the normalized URL
+ */
+export function getSessionKey(url, rules = DEFAULT_RULES) {
+  return getIdentityKey(url, rules) || normalizeUrl(url, rules);
+}
+
+/**
+ * Build the windows of a snapshot from open tabs, keeping the first copy of each
+ * page across all windows. Windows and tabs keep their order; windows left
+ * with no tabs are dropped.
+ * Returns { windows: [{ tabs: [{ url, title, pinned }] }], tabCount, duplicatesDropped }
+ */
+export function createSnapshotWindows(tabs, rules = DEFAULT_RULES) {
+  const seen = new Set();
+  const byWindow = new Map();
+  let duplicatesDropped = 0;
+
+  const sorted = tabs
+    .filter(tab => isScannableUrl(tab.url))
+    .sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+
+  for (const tab of sorted) {
+    const key = getSessionKey(tab.url, rules);
+    if (seen.has(key)) {
+      duplicatesDropped++;
+      continue;
+    }
+    seen.add(key);
+    if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+    byWindow.get(tab.windowId).push({ url: tab.url, title: tab.title || '', pinned: Boolean(tab.pinned) });
+  }
+
+  const windows = [...byWindow.values()].map(windowTabs => ({ tabs: windowTabs }));
+  return { windows, tabCount: seen.size, duplicatesDropped };
+}
+
+/**
+ * Split snapshot tabs into those to reopen and those already open somewhere
+ * Returns { toOpen, alreadyOpen }
+ */
+export function filterAlreadyOpen(snapshotTabs, openTabs, rules = DEFAULT_RULES) {
+  const openKeys = new Set(openTabs.filter(tab => isScannableUrl(tab.url)).map(tab => getSessionKey(tab.url, rules)));
+  const toOpen = [];
+  const alreadyOpen = [];
+  for (const tab of snapshotTabs) {
+    (openKeys.has(getSessionKey(tab.url, rules)) ? alreadyOpen : toOpen).push(tab);
+  }
+  return { toOpen, alreadyOpen };
+}
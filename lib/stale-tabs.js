@@ -0,0 +1,42 @@
+/**
+ * Stale Tabs - tabs that are open but not earning their place: idle for days,
+ * discarded by the browser, or stuck on an error page
+ */
+
+import { isScannableUrl } from './fuzzy-matcher.js';
+
+export const STALE_REASONS = {
+  error: 'Failed to load',
+  discarded: 'Discarded',
+  idle: 'Not used lately'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find stale tabs, error pages first, then discarded tabs, then the longest idle
+ * errorPages maps tab ids to the network error their page failed with.
+ * Active tabs are never stale. Returns [{ tab, reason, detail }].
+ */
+export function findStaleTabs(tabs, { staleDays = 7, errorPages = {}, now = Date.now() } = {}) {
+  const stale = [];
+  for (const tab of tabs) {
+    if (tab.active || !isScannableUrl(tab.url)) continue;
+
+    const error = errorPages[tab.id];
+    if (error && error.url === tab.url) {
+      stale.push({ tab, reason: 'error', detail: error.error });
+    } else if (tab.discarded) {
+      stale.push({ tab, reason: 'discarded', detail: 'Unloaded to save memory' });
+    } else if (tab.lastAccessed && now - tab.lastAccessed >= staleDays * DAY_MS) {
+      const days = Math.floor((now - tab.lastAccessed) / DAY_MS);
+      stale.push({ tab, reason: 'idle', detail: `Last used ${days} day${days !== 1 ? 's' : ''} ago` });
+    }
+  }
+
+  const order = Object.keys(STALE_REASONS);
+  return stale.sort((a, b) =>
+    order.indexOf(a.reason) - order.indexOf(b.reason) ||
+    (a.tab.lastAccessed || 0) - (b.tab.lastAccessed || 0)
+  );
+}
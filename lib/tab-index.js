@@ -0,0 +1,254 @@
+/**
+ * Incremental duplicate index - keeps the analysis current one tab event at a time
+ */
+
+import {
+  normalizeUrl,
+  isScannableUrl,
+  isExcludedUrl,
+  getIdentityKey,
+  getHostKey,
+  findSimilarity,
+  DEFAULT_RULES,
+  DEFAULT_TRACKING_PARAMS,
+  buildDuplicateGroups,
+  summarizeAnalysis
+} from './fuzzy-matcher.js';
+import { DEFAULT_SCORING } from './similarity.js';
+
+/**
+ * Add a tab id to the set stored under key
+ */
+function addToGroup(groups, key, tabId) {
+  if (!groups.has(key)) groups.set(key, new Set());
+  groups.get(key).add(tabId);
+}
+
+/**
+ * Remove a tab id from the set stored under key, dropping empty sets
+ */
+function removeFromGroup(groups, key, tabId) {
+  const group = groups.get(key);
+  if (!group) return;
+  group.delete(tabId);
+  if (group.size === 0) groups.delete(key);
+}
+
+/**
+ * Create an index over open tabs
+ *
+ * Maps normalized URL -> tab ids and site-rule identity key -> tab ids, and
+ * caches similar pairs per tab so a single tab event only re-compares that tab
+ * against the other tabs on the same site. Takes the same options as analyzeTabs.
+ */
+export function createTabIndex(options = {}) {
+  const {
+    rules = DEFAULT_RULES,
+    trackingParams = new Set(DEFAULT_TRACKING_PARAMS),
+    isIgnoredPair = () => false,
+    excludedDomains = [],
+    scoring = DEFAULT_SCORING
+  } = options;
+  let threshold = options.threshold ?? 80;
+
+  const entries = new Map();        // tabId -> { tab, urlKey, identityKey, hostKey, canonicalKey, ogTitle }
+  const urlGroups = new Map();      // normalized URL -> Set of tab ids
+  const identityGroups = new Map(); // identity key (e.g. Google Doc) -> Set of tab ids
+  const hostBlocks = new Map();     // host key -> Set of similar-candidate tab ids
+  const similarPairs = new Map();   // tabId -> Map of other tabId -> { score, reason, breakdown }
+
+  function comparePairs(entry) {
+    if (entry.identityKey) return;
+
+    for (const otherId of hostBlocks.get(entry.hostKey)) {
+      const other = entries.get(otherId);
+      if (other === entry || isIgnoredPair(entry.urlKey, other.urlKey)) continue;
+
+      const ogTitles = [entry.ogTitle, other.ogTitle];
+      const similarity = findSimilarity(entry.tab, other.tab, threshold, trackingParams, scoring, ogTitles);
+      if (similarity.similar) {
+        const pair = { score: similarity.score, reason: similarity.reason, breakdown: similarity.breakdown };
+        if (!similarPairs.has(entry.tab.id)) similarPairs.set(entry.tab.id, new Map());
+        if (!similarPairs.has(other.tab.id)) similarPairs.set(other.tab.id, new Map());
+        similarPairs.get(entry.tab.id).set(other.tab.id, pair);
+        similarPairs.get(other.tab.id).set(entry.tab.id, pair);
+      }
+    }
+  }
+
+  function clearPairs(tabId) {
+    const pairs = similarPairs.get(tabId);
+    if (!pairs) return;
+    for (const otherId of pairs.keys()) {
+      const otherPairs = similarPairs.get(otherId);
+      otherPairs.delete(tabId);
+      if (otherPairs.size === 0) similarPairs.delete(otherId);
+    }
+    similarPairs.delete(tabId);
+  }
+
+  /**
+   * Remove a tab from the index
+   * Returns true if the tab was indexed
+   */
+  function removeTab(tabId) {
+    const entry = entries.get(tabId);
+    if (!entry) return false;
+
+    removeFromGroup(urlGroups, entry.urlKey, tabId);
+    if (entry.identityKey) {
+      removeFromGroup(identityGroups, entry.identityKey, tabId);
+    } else {
+      removeFromGroup(hostBlocks, entry.hostKey, tabId);
+    }
+    clearPairs(tabId);
+    entries.delete(tabId);
+    return true;
+  }
+
+  /**
+   * Add or refresh a tab in the index
+   * Returns true if the tab's grouping, similar pairs or scope may have changed
+   */
+  function upsertTab(tab) {
+    if (!isScannableUrl(tab.url) || isExcludedUrl(tab.url, excludedDomains)) {
+      return removeTab(tab.id);
+    }
+
+    const existing = entries.get(tab.id);
+    if (existing && existing.tab.url === tab.url) {
+      if (existing.tab.title === tab.title) {
+        // Nothing the matcher looks at changed - just keep the latest tab details.
+        // A new window or tab group can still move the tab in or out of a scope.
+        const movedScope = existing.tab.windowId !== tab.windowId || existing.tab.groupId !== tab.groupId;
+        existing.tab = tab;
+        return movedScope;
+      }
+
+      // Only the title changed (an unread count, a live headline): the page is the
+      // same, so keep its canonical URL and og:title and just redo the similar pairs
+      existing.tab = tab;
+      clearPairs(tab.id);
+      comparePairs(existing);
+      return true;
+    }
+
+    removeTab(tab.id);
+
+    const entry = {
+      tab,
+      urlKey: normalizeUrl(tab.url, rules),
+      identityKey: getIdentityKey(tab.url, rules),
+      hostKey: getHostKey(tab.url),
+      canonicalKey: null,
+      ogTitle: null
+    };
+    entries.set(tab.id, entry);
+    addToGroup(urlGroups, entry.urlKey, tab.id);
+    if (entry.identityKey) {
+      addToGroup(identityGroups, entry.identityKey, tab.id);
+    } else {
+      addToGroup(hostBlocks, entry.hostKey, tab.id);
+    }
+    comparePairs(entry);
+    return true;
+  }
+
+  /**
+   * Record the canonical URL and og:title a tab's page declares (null to forget them)
+   * Returns true if either changed; a navigation clears them along with the rest of the entry
+   */
+  function setPageIdentity(tabId, { canonicalUrl = null, ogTitle = null }) {
+    const entry = entries.get(tabId);
+    if (!entry) return false;
+
+    const canonicalKey = canonicalUrl ? normalizeUrl(canonicalUrl, rules) : null;
+    if (entry.canonicalKey === canonicalKey && entry.ogTitle === ogTitle) return false;
+    entry.canonicalKey = canonicalKey;
+    if (entry.ogTitle !== ogTitle) {
+      entry.ogTitle = ogTitle;
+      clearPairs(tabId);
+      comparePairs(entry);
+    }
+    return true;
+  }
+
+  /**
+   * Replace the whole index with a fresh set of tabs
+   */
+  function rebuild(tabs) {
+    entries.clear();
+    urlGroups.clear();
+    identityGroups.clear();
+    hostBlocks.clear();
+    similarPairs.clear();
+    for (const tab of tabs) {
+      upsertTab(tab);
+    }
+  }
+
+  /**
+   * Change the similarity threshold, recomputing cached pairs if needed
+   */
+  function setThreshold(value) {
+    if (value === threshold) return;
+    threshold = value;
+    similarPairs.clear();
+    for (const entry of entries.values()) {
+      comparePairs(entry);
+    }
+  }
+
+  /**
+   * Get the open tabs that are exact duplicates of a URL
+   * (same normalized URL or same site-rule identity key)
+   */
+  function getTabsMatching(url) {
+    const identityKey = getIdentityKey(url, rules);
+    const ids = new Set([
+      ...(urlGroups.get(normalizeUrl(url, rules)) || []),
+      ...(identityKey && identityGroups.get(identityKey) || [])
+    ]);
+    return [...ids].map(id => entries.get(id).tab);
+  }
+
+  function toTabGroups(groups, includeTab) {
+    const result = new Map();
+    for (const [key, ids] of groups) {
+      result.set(key, [...ids].map(id => entries.get(id).tab).filter(includeTab));
+    }
+    return result;
+  }
+
+  /**
+   * Build the same result shape as analyzeTabs from the index
+   * includeTab limits the analysis to some tabs, as if the others weren't open
+   */
+  function getAnalysis(includeTab = () => true) {
+    const canonicalUrls = new Map();
+    for (const entry of entries.values()) {
+      if (entry.canonicalKey) canonicalUrls.set(entry.urlKey, entry.canonicalKey);
+    }
+
+    const { duplicateGroups, tabsInDuplicateGroups } = buildDuplicateGroups(
+      toTabGroups(identityGroups, includeTab),
+      toTabGroups(urlGroups, includeTab),
+      canonicalUrls
+    );
+    const isPairCandidate = tabId => !tabsInDuplicateGroups.has(tabId) && includeTab(entries.get(tabId).tab);
+
+    // Similar pairs only among tabs not in any duplicate group
+    const pairs = [];
+    for (const [tabId, others] of similarPairs) {
+      if (!isPairCandidate(tabId)) continue;
+      for (const [otherId, { score, reason, breakdown }] of others) {
+        if (otherId < tabId || !isPairCandidate(otherId)) continue;
+        pairs.push({ tab1: entries.get(tabId).tab, tab2: entries.get(otherId).tab, score, reason, breakdown });
+      }
+    }
+
+    return summarizeAnalysis(duplicateGroups, pairs);
+  }
+
+  return { upsertTab, removeTab, rebuild, setThreshold, setPageIdentity, getTabsMatching, getAnalysis };
+}
@@ -0,0 +1,246 @@
+/**
+ * Options Page Logic for Duplicate Tab Closer
+ */
+
+import { BUILTIN_RULES, DEFAULT_TRACKING_PARAMS, validateRule } from '../lib/fuzzy-matcher.js';
+import {
+  loadSettings,
+  saveSettings,
+  parseDomainList,
+  exportSettings,
+  parseImportedSettings,
+  DEFAULT_SETTINGS,
+  PAGE_ACCESS
+} from '../lib/settings.js';
+import { KEEP_POLICIES } from '../lib/keep-policy.js';
+import { IGNORE_RULE_TYPES } from '../lib/ignore-rules.js';
+import { TITLE_METRICS } from '../lib/similarity.js';
+
+// ============ DOM Elements ============
+
+const thresholdSlider = document.getElementById('threshold');
+const thresholdValue = document.getElementById('threshold-value');
+const titleMetricSelect = document.getElementById('title-metric');
+const normalizeTitlesCheckbox = document.getElementById('normalize-titles');
+const weightInputs = {
+  domain: document.getElementById('weight-domain'),
+  path: document.getElementById('weight-path'),
+  title: document.getElementById('weight-title')
+};
+const useCanonicalCheckbox = document.getElementById('use-canonical-urls');
+const excludedDomainsInput = document.getElementById('excluded-domains');
+const keepPolicySelect = document.getElementById('keep-policy');
+const protectPinnedCheckbox = document.getElementById('protect-pinned');
+const protectAudibleCheckbox = document.getElementById('protect-audible');
+const protectFormsCheckbox = document.getElementById('protect-forms');
+const staleDaysInput = document.getElementById('stale-days');
+const autoDedupeCheckbox = document.getElementById('auto-dedupe');
+const promptOnDuplicateCheckbox = document.getElementById('prompt-on-duplicate');
+const allowlistInput = document.getElementById('auto-dedupe-allowlist');
+const denylistInput = document.getElementById('auto-dedupe-denylist');
+const badgeScopeCheckbox = document.getElementById('badge-follows-scope');
+const siteRulesInput = document.getElementById('site-rules');
+const siteRulesError = document.getElementById('site-rules-error');
+const builtinRulesList = document.getElementById('builtin-rules');
+const trackingParamsInput = document.getElementById('tracking-params');
+const resetTrackingParamsBtn = document.getElementById('reset-tracking-params');
+const ignoreRulesList = document.getElementById('ignore-rules');
+const ignoreRulesEmpty = document.getElementById('ignore-rules-empty');
+const exportBtn = document.getElementById('export');
+const importBtn = document.getElementById('import');
+const importFileInput = document.getElementById('import-file');
+const importError = document.getElementById('import-error');
+const saveBtn = document.getElementById('save');
+const saveStatus = document.getElementById('save-status');
+
+// Ignore rules as shown on the page - saved along with the form
+let ignoreRules = [];
+
+async function init() {
+  for (const [value, label] of Object.entries(KEEP_POLICIES)) {
+    keepPolicySelect.add(new Option(label, value));
+  }
+  for (const [value, { label }] of Object.entries(TITLE_METRICS)) {
+    titleMetricSelect.add(new Option(label, value));
+  }
+  renderBuiltinRules();
+  fillForm(await loadSettings());
+
+  thresholdSlider.addEventListener('input', () => {
+    thresholdValue.textContent = `${thresholdSlider.value}%`;
+  });
+  resetTrackingParamsBtn.addEventListener('click', () => {
+    trackingParamsInput.value = DEFAULT_TRACKING_PARAMS.join('\n');
+  });
+  exportBtn.addEventListener('click', downloadSettings);
+  importBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', importSettingsFile);
+  saveBtn.addEventListener('click', save);
+}
+
+function fillForm(settings) {
+  thresholdSlider.value = settings.threshold;
+  thresholdValue.textContent = `${settings.threshold}%`;
+  titleMetricSelect.value = settings.titleMetric;
+  normalizeTitlesCheckbox.checked = settings.normalizeTitles;
+  for (const [key, input] of Object.entries(weightInputs)) {
+    input.value = settings.similarityWeights[key];
+  }
+  useCanonicalCheckbox.checked = settings.useCanonicalUrls;
+  excludedDomainsInput.value = settings.excludedDomains.join('\n');
+  keepPolicySelect.value = settings.keepPolicy;
+  protectPinnedCheckbox.checked = settings.protectPinned;
+  protectAudibleCheckbox.checked = settings.protectAudible;
+  protectFormsCheckbox.checked = settings.protectUnsavedForms;
+  staleDaysInput.value = settings.staleDays;
+  autoDedupeCheckbox.checked = settings.autoDedupe;
+  promptOnDuplicateCheckbox.checked = settings.promptOnDuplicate;
+  allowlistInput.value = settings.autoDedupeAllowlist.join('\n');
+  denylistInput.value = settings.autoDedupeDenylist.join('\n');
+  badgeScopeCheckbox.checked = settings.badgeFollowsScope;
+  siteRulesInput.value = JSON.stringify(settings.siteRules, null, 2);
+  trackingParamsInput.value = settings.trackingParams.join('\n');
+  ignoreRules = settings.ignoreRules;
+  renderIgnoreRules();
+}
+
+function renderBuiltinRules() {
+  for (const rule of BUILTIN_RULES) {
+    const li = document.createElement('li');
+    li.textContent = `${rule.name}: ${rule.host}${rule.pathPattern ? ' ' + rule.pathPattern : ''}`;
+    builtinRulesList.appendChild(li);
+  }
+}
+
+function renderIgnoreRules() {
+  ignoreRulesList.innerHTML = '';
+  ignoreRulesEmpty.classList.toggle('hidden', ignoreRules.length > 0);
+
+  for (const rule of ignoreRules) {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'rule-text';
+    text.textContent = rule.a === rule.b ? rule.a : `${rule.a}  ↔  ${rule.b}`;
+    text.title = `${IGNORE_RULE_TYPES[rule.type]}, added ${new Date(rule.createdAt).toLocaleString()}`;
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-link';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      ignoreRules = ignoreRules.filter(r => r.id !== rule.id);
+      renderIgnoreRules();
+    });
+
+    li.append(text, deleteBtn);
+    ignoreRulesList.appendChild(li);
+  }
+}
+
+// Parse and validate the site rules JSON, returning { rules } or { error }
+function parseSiteRules(text) {
+  if (!text.trim()) return { rules: [] };
+
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+  if (!Array.isArray(rules)) {
+    return { error: 'Site rules must be a JSON array' };
+  }
+  for (let i = 0; i < rules.length; i++) {
+    const error = validateRule(rules[i]);
+    if (error) return { error: `Rule ${i + 1}: ${error}` };
+  }
+  return { rules };
+}
+
+// ============ Import / Export ============
+
+async function downloadSettings() {
+  const json = exportSettings(await loadSettings());
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'duplicate-tab-closer-settings.json';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Fill the form from an exported file; nothing is stored until Save
+async function importSettingsFile() {
+  const [file] = importFileInput.files;
+  importFileInput.value = '';
+  if (!file) return;
+
+  const { settings, error } = parseImportedSettings(await file.text());
+  importError.textContent = error || '';
+  importError.classList.toggle('hidden', !error);
+  if (error) return;
+
+  fillForm({ ...(await loadSettings()), ...settings });
+  showStatus('Imported - review and press Save to apply');
+}
+
+// ============ Save ============
+
+async function save() {
+  // Ask first, while the click still counts as a user gesture
+  const needsPageAccess = protectFormsCheckbox.checked ||
+    keepPolicySelect.value === 'longestHistory' ||
+    useCanonicalCheckbox.checked;
+  if (needsPageAccess && !(await chrome.permissions.request(PAGE_ACCESS))) {
+    showStatus('Page access is needed for canonical URLs, the unsaved-input check and the longest-history keep policy');
+    return;
+  }
+
+  const { rules, error } = parseSiteRules(siteRulesInput.value);
+  siteRulesError.textContent = error || '';
+  siteRulesError.classList.toggle('hidden', !error);
+  if (error) return;
+
+  const trackingParams = trackingParamsInput.value
+    .split(/[\s,]+/)
+    .map(p => p.trim().toLowerCase())
+    .filter(Boolean);
+
+  try {
+    await saveSettings({
+      threshold: parseInt(thresholdSlider.value),
+      titleMetric: titleMetricSelect.value,
+      normalizeTitles: normalizeTitlesCheckbox.checked,
+      similarityWeights: {
+        domain: Number(weightInputs.domain.value) || 0,
+        path: Number(weightInputs.path.value) || 0,
+        title: Number(weightInputs.title.value) || 0
+      },
+      useCanonicalUrls: useCanonicalCheckbox.checked,
+      excludedDomains: parseDomainList(excludedDomainsInput.value),
+      keepPolicy: keepPolicySelect.value,
+      protectPinned: protectPinnedCheckbox.checked,
+      protectAudible: protectAudibleCheckbox.checked,
+      protectUnsavedForms: protectFormsCheckbox.checked,
+      staleDays: Math.max(1, parseInt(staleDaysInput.value) || DEFAULT_SETTINGS.staleDays),
+      autoDedupe: autoDedupeCheckbox.checked,
+      promptOnDuplicate: promptOnDuplicateCheckbox.checked,
+      autoDedupeAllowlist: parseDomainList(allowlistInput.value),
+      autoDedupeDenylist: parseDomainList(denylistInput.value),
+      badgeFollowsScope: badgeScopeCheckbox.checked,
+      siteRules: rules,
+      trackingParams,
+      ignoreRules
+    });
+  } catch (e) {
+    showStatus(`Could not save settings: ${e.message}`);
+    return;
+  }
+  showStatus('Saved');
+}
+
+function showStatus(message) {
+  saveStatus.textContent = message;
+  setTimeout(() => { saveStatus.textContent = ''; }, 3000);
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -2,239 +2,16 @@
  * Popup UI Logic for Duplicate Tab Closer
  */
 
-// ============ Fuzzy Matcher (inline) ============
-
-// Google Workspace URL patterns for document detection
-const GOOGLE_WORKSPACE_PATTERNS = [
-  { pattern: /^docs\.google\.com\/document\/d\/([^\/]+)/, type: 'doc' },
-  { pattern: /^docs\.google\.com\/spreadsheets\/d\/([^\/]+)/, type: 'sheet' },
-  { pattern: /^docs\.google\.com\/presentation\/d\/([^\/]+)/, type: 'slides' },
-];
-
-function getGoogleDocId(hostname, pathname) {
-  const combined = hostname + pathname;
-  for (const { pattern, type } of GOOGLE_WORKSPACE_PATTERNS) {
-    const match = combined.match(pattern);
-    if (match) {
-      return { docId: match[1], type };
-    }
-  }
-  return null;
-}
-
-const TRACKING_PARAMS = new Set([
-  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-  'fbclid', 'gclid', 'msclkid', 'dclid', 'ref', 'source', 'mc_cid', 'mc_eid',
-  '_ga', '_gl', 'yclid', 'wickedid', 'twclid', 'igshid', 'zanpid'
-]);
-
-function parseUrl(urlString) {
-  try {
-    const url = new URL(urlString);
-    return {
-      protocol: url.protocol,
-      hostname: url.hostname.toLowerCase(),
-      port: url.port,
-      pathname: url.pathname.replace(/\/+$/, '') || '/',
-      search: url.search,
-      hash: url.hash,
-      params: Object.fromEntries(url.searchParams.entries()),
-      original: urlString
-    };
-  } catch (e) {
-    return null;
-  }
-}
-
-function normalizeUrl(urlString) {
-  const parsed = parseUrl(urlString);
-  if (!parsed) return urlString;
-  const hostname = parsed.hostname.replace(/^www\./, '');
-  const sortedParams = Object.keys(parsed.params).sort().map(k => `${k}=${parsed.params[k]}`).join('&');
-  const query = sortedParams ? `?${sortedParams}` : '';
-  return `${parsed.protocol}//${hostname}${parsed.port ? ':' + parsed.port : ''}${parsed.pathname}${query}`;
-}
-
-function levenshteinDistance(str1, str2) {
-  const m = str1.length, n = str2.length;
-  if (m === 0) return n;
-  if (n === 0) return m;
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
-    }
-  }
-  return dp[m][n];
-}
-
-function stringSimilarity(str1, str2) {
-  if (str1 === str2) return 100;
-  if (!str1 || !str2) return 0;
-  const maxLen = Math.max(str1.length, str2.length);
-  return Math.round((1 - levenshteinDistance(str1, str2) / maxLen) * 100);
-}
-
-function getNonTrackingParams(params) {
-  const filtered = {};
-  for (const [key, value] of Object.entries(params)) {
-    if (!TRACKING_PARAMS.has(key.toLowerCase())) filtered[key] = value;
-  }
-  return filtered;
-}
-
-function differsByTrackingOnly(params1, params2) {
-  return JSON.stringify(getNonTrackingParams(params1)) === JSON.stringify(getNonTrackingParams(params2));
-}
-
-function findSimilarity(tab1, tab2, threshold = 80) {
-  const url1 = parseUrl(tab1.url);
-  const url2 = parseUrl(tab2.url);
-  if (!url1 || !url2) return { similar: false, score: 0, reason: null };
-
-  const host1 = url1.hostname.replace(/^www\./, '');
-  const host2 = url2.hostname.replace(/^www\./, '');
-
-  // Note: Google Workspace docs are handled separately in analyzeTabs via grouping
-
-  // Subdomain variation
-  if (url1.hostname !== url2.hostname && host1 === host2 && url1.pathname === url2.pathname) {
-    if (JSON.stringify(url1.params) === JSON.stringify(url2.params)) {
-      return { similar: true, score: 95, reason: 'Same page on different subdomain' };
-    }
-  }
-
-  if (host1 !== host2) return { similar: false, score: 0, reason: null };
-
-  // Same path, different hash
-  if (url1.pathname === url2.pathname && JSON.stringify(url1.params) === JSON.stringify(url2.params) && url1.hash !== url2.hash) {
-    return { similar: true, score: 90, reason: 'Same page, different section' };
-  }
-
-  // Same path, different params
-  if (url1.pathname === url2.pathname) {
-    if (JSON.stringify(url1.params) !== JSON.stringify(url2.params)) {
-      if (differsByTrackingOnly(url1.params, url2.params)) {
-        return { similar: true, score: 95, reason: 'Same page with tracking parameters' };
-      }
-      return { similar: true, score: 85, reason: 'Same page, different parameters' };
-    }
-  }
-
-  // Similar path (Levenshtein)
-  const pathSimilarity = stringSimilarity(url1.pathname, url2.pathname);
-  if (pathSimilarity >= threshold && pathSimilarity < 100) {
-    return { similar: true, score: pathSimilarity, reason: `Similar page paths (${pathSimilarity}% match)` };
-  }
-
-  // Weighted score
-  const domainScore = host1 === host2 ? 100 : 0;
-  const pathScore = stringSimilarity(url1.pathname, url2.pathname);
-  const titleScore = tab1.title && tab2.title ? stringSimilarity(tab1.title, tab2.title) : 0;
-  const weightedScore = Math.round(domainScore * 0.4 + pathScore * 0.4 + titleScore * 0.2);
-
-  if (weightedScore >= threshold) {
-    return { similar: true, score: weightedScore, reason: `${weightedScore}% overall similarity` };
-  }
-  return { similar: false, score: weightedScore, reason: null };
-}
-
-function analyzeTabs(tabs, threshold = 80) {
-  const exactDuplicates = new Map();
-  const similarPairs = [];
-  const processed = new Set();
-
-  // Filter valid tabs
-  const validTabs = tabs.filter(tab =>
-    tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')
-  );
-
-  // Find exact duplicates by normalized URL
-  for (const tab of validTabs) {
-    const normalized = normalizeUrl(tab.url);
-    if (!exactDuplicates.has(normalized)) exactDuplicates.set(normalized, []);
-    exactDuplicates.get(normalized).push(tab);
-  }
-
-  // Also group Google Docs by document ID (treat same doc as exact duplicate)
-  const googleDocGroups = new Map();
-  for (const tab of validTabs) {
-    if (tab.url && tab.url.includes('docs.google.com')) {
-      const parsed = parseUrl(tab.url);
-      if (parsed) {
-        const googleDoc = getGoogleDocId(parsed.hostname, parsed.pathname);
-        if (googleDoc) {
-          const key = 'gdoc:' + googleDoc.type + ':' + googleDoc.docId;
-          if (!googleDocGroups.has(key)) googleDocGroups.set(key, []);
-          googleDocGroups.get(key).push(tab);
-        }
-      }
-    }
-  }
-
-  // Build duplicate groups from both URL matches and Google Doc matches
-  const duplicateGroups = [];
-  const tabsInDuplicateGroups = new Set();
-
-  // First, add Google Doc groups (these take priority)
-  for (const [key, tabGroup] of googleDocGroups) {
-    if (tabGroup.length > 1) {
-      duplicateGroups.push({
-        normalizedUrl: key,
-        tabs: tabGroup,
-        count: tabGroup.length
-      });
-      tabGroup.forEach(t => tabsInDuplicateGroups.add(t.id));
-    }
-  }
-
-  // Then add URL-based duplicates (only if not already in a Google Doc group)
-  for (const [url, tabGroup] of exactDuplicates) {
-    const filteredGroup = tabGroup.filter(t => !tabsInDuplicateGroups.has(t.id));
-    if (filteredGroup.length > 1) {
-      duplicateGroups.push({
-        normalizedUrl: url,
-        tabs: filteredGroup,
-        count: filteredGroup.length
-      });
-      filteredGroup.forEach(t => tabsInDuplicateGroups.add(t.id));
-    }
-  }
-
-  // Find similar tabs (only among tabs not in any duplicate group)
-  const nonDuplicateTabs = validTabs.filter(tab => !tabsInDuplicateGroups.has(tab.id));
-
-  // For non-Google tabs, use the regular comparison (limited to 100)
-  const nonGoogleTabs = nonDuplicateTabs.filter(t => !t.url || !t.url.includes('docs.google.com')).slice(0, 100);
-
-  for (let i = 0; i < nonGoogleTabs.length; i++) {
-    for (let j = i + 1; j < nonGoogleTabs.length; j++) {
-      const tab1 = nonGoogleTabs[i];
-      const tab2 = nonGoogleTabs[j];
-
-      const pairKey = `${tab1.id}-${tab2.id}`;
-      if (processed.has(pairKey)) continue;
-      processed.add(pairKey);
-
-      const similarity = findSimilarity(tab1, tab2, threshold);
-      if (similarity.similar) {
-        similarPairs.push({ tab1, tab2, score: similarity.score, reason: similarity.reason });
-      }
-    }
-  }
-
-  similarPairs.sort((a, b) => b.score - a.score);
-
-  return {
-    exactDuplicates: duplicateGroups,
-    similarTabs: similarPairs.slice(0, 20),
-    totalDuplicates: duplicateGroups.reduce((sum, g) => sum + g.count - 1, 0),
-    totalSimilar: Math.min(similarPairs.length, 20)
-  };
-}
+import { loadSettings, saveSettings, parseDomainList, PAGE_ACCESS } from '../lib/settings.js';
+import { KEEP_POLICIES, getTabsToClose, getCloseReasons } from '../lib/keep-policy.js';
+import { SCOPES } from '../lib/scope.js';
+import { clusterSimilarPairs } from '../lib/similar-clusters.js';
+import { SIMILARITY_RULES, getHostKey } from '../lib/fuzzy-matcher.js';
+import { TITLE_METRICS } from '../lib/similarity.js';
+import { STALE_REASONS } from '../lib/stale-tabs.js';
+import { createIgnoreRule, addIgnoreRules, suggestIgnorePattern } from '../lib/ignore-rules.js';
+import { REPORT_FORMATS, formatReport, getReportFilename } from '../lib/report.js';
+import { sendMessage } from '../lib/messaging.js';
 
 // ============ DOM Elements ============
 
@@ -247,36 +24,91 @@ const closeAllBtn = document.getElementById('close-all-duplicates');
 const similarSection = document.getElementById('similar-section');
 const similarCount = document.getElementById('similar-count');
 const similarList = document.getElementById('similar-list');
+const bulkThresholdInput = document.getElementById('bulk-threshold');
+const closeSimilarAboveBtn = document.getElementById('close-similar-above');
 const noDuplicates = document.getElementById('no-duplicates');
+const reportExport = document.getElementById('report-export');
+const reportFormatSelect = document.getElementById('report-format');
+const downloadReportBtn = document.getElementById('download-report');
+const copyReportBtn = document.getElementById('copy-report');
+const reportStatus = document.getElementById('report-status');
+const staleSection = document.getElementById('stale-section');
+const staleCount = document.getElementById('stale-count');
+const staleList = document.getElementById('stale-list');
+const remoteSection = document.getElementById('remote-section');
+const remoteCount = document.getElementById('remote-count');
+const remoteList = document.getElementById('remote-list');
 const settingsToggle = document.getElementById('settings-toggle');
 const settingsPanel = document.getElementById('settings-panel');
 const thresholdSlider = document.getElementById('threshold');
 const thresholdValue = document.getElementById('threshold-value');
 const rescanBtn = document.getElementById('rescan');
+const openOptionsBtn = document.getElementById('open-options');
+const organizeByDomainBtn = document.getElementById('organize-by-domain');
+const openDashboardBtn = document.getElementById('open-dashboard');
+const openSnapshotsBtn = document.getElementById('open-snapshots');
+const keepPolicySelect = document.getElementById('keep-policy');
+const scopeSelect = document.getElementById('scope');
+const badgeScopeCheckbox = document.getElementById('badge-follows-scope');
+const recentToggle = document.getElementById('recent-toggle');
+const recentPanel = document.getElementById('recent-panel');
+const recentList = document.getElementById('recent-list');
+const recentEmpty = document.getElementById('recent-empty');
+const undoToast = document.getElementById('undo-toast');
+const undoMessage = document.getElementById('undo-message');
+const undoButton = document.getElementById('undo-button');
+const autoDedupeCheckbox = document.getElementById('auto-dedupe');
+const allowlistInput = document.getElementById('auto-dedupe-allowlist');
+const denylistInput = document.getElementById('auto-dedupe-denylist');
+const protectPinnedCheckbox = document.getElementById('protect-pinned');
+const protectAudibleCheckbox = document.getElementById('protect-audible');
+const protectFormsCheckbox = document.getElementById('protect-forms');
+const skippedNotice = document.getElementById('skipped-notice');
+const skippedTitle = document.getElementById('skipped-title');
+const skippedList = document.getElementById('skipped-list');
+const skippedDismiss = document.getElementById('skipped-dismiss');
+const errorNotice = document.getElementById('error-notice');
+const errorMessage = document.getElementById('error-message');
+const errorDismiss = document.getElementById('error-dismiss');
 
 // State
 let currentAnalysis = null;
 let threshold = 80;
+let popupWindowId = undefined;
 
 async function init() {
+  const settings = await loadSettings();
+  threshold = settings.threshold;
+  thresholdSlider.value = threshold;
+  thresholdValue.textContent = `${threshold}%`;
+  autoDedupeCheckbox.checked = settings.autoDedupe;
+  allowlistInput.value = settings.autoDedupeAllowlist.join('\n');
+  denylistInput.value = settings.autoDedupeDenylist.join('\n');
+  protectPinnedCheckbox.checked = settings.protectPinned;
+  protectAudibleCheckbox.checked = settings.protectAudible;
+  protectFormsCheckbox.checked = settings.protectUnsavedForms;
+  for (const [value, label] of Object.entries(KEEP_POLICIES)) {
+    keepPolicySelect.add(new Option(label, value, false, value === settings.keepPolicy));
+  }
+  badgeScopeCheckbox.checked = settings.badgeFollowsScope;
+  for (const [value, { label }] of Object.entries(REPORT_FORMATS)) {
+    reportFormatSelect.add(new Option(label, value));
+  }
+
   try {
-    if (chrome.storage && chrome.storage.local) {
-      const stored = await chrome.storage.local.get('threshold');
-      if (stored.threshold) {
-        threshold = stored.threshold;
-        thresholdSlider.value = threshold;
-        thresholdValue.textContent = `${threshold}%`;
-      }
-    }
+    popupWindowId = (await chrome.windows.getCurrent()).id;
   } catch (e) {
-    console.warn('Could not load settings:', e);
+    console.warn('Could not get current window:', e);
   }
+  await renderScopeOptions(settings);
+
   setupEventListeners();
   await scanTabs();
 }
 
 function setupEventListeners() {
   closeAllBtn.addEventListener('click', closeAllDuplicates);
+  closeSimilarAboveBtn.addEventListener('click', closeSimilarAbove);
   settingsToggle.addEventListener('click', () => settingsPanel.classList.toggle('hidden'));
   thresholdSlider.addEventListener('input', (e) => {
     threshold = parseInt(e.target.value);
@@ -284,29 +116,129 @@ function setupEventListeners() {
   });
   thresholdSlider.addEventListener('change', async (e) => {
     threshold = parseInt(e.target.value);
-    try {
-      if (chrome.storage && chrome.storage.local) {
-        await chrome.storage.local.set({ threshold });
+    await persistSettings({ threshold });
+    await scanTabs();
+  });
+  autoDedupeCheckbox.addEventListener('change', () => {
+    persistSettings({ autoDedupe: autoDedupeCheckbox.checked });
+  });
+  allowlistInput.addEventListener('change', () => {
+    persistSettings({ autoDedupeAllowlist: parseDomainList(allowlistInput.value) });
+  });
+  denylistInput.addEventListener('change', () => {
+    persistSettings({ autoDedupeDenylist: parseDomainList(denylistInput.value) });
+  });
+  protectPinnedCheckbox.addEventListener('change', () => {
+    persistSettings({ protectPinned: protectPinnedCheckbox.checked });
+  });
+  protectAudibleCheckbox.addEventListener('change', () => {
+    persistSettings({ protectAudible: protectAudibleCheckbox.checked });
+  });
+  protectFormsCheckbox.addEventListener('change', async () => {
+    // Form state is read from inside each page
+    if (protectFormsCheckbox.checked && !(await chrome.permissions.request(PAGE_ACCESS))) {
+      protectFormsCheckbox.checked = false;
+      return;
+    }
+    persistSettings({ protectUnsavedForms: protectFormsCheckbox.checked });
+  });
+  skippedDismiss.addEventListener('click', () => skippedNotice.classList.add('hidden'));
+  errorDismiss.addEventListener('click', () => errorNotice.classList.add('hidden'));
+  scopeSelect.addEventListener('change', changeScope);
+  badgeScopeCheckbox.addEventListener('change', () => {
+    persistSettings({ badgeFollowsScope: badgeScopeCheckbox.checked });
+  });
+  keepPolicySelect.addEventListener('change', async () => {
+    const keepPolicy = keepPolicySelect.value;
+    if (keepPolicy === 'longestHistory') {
+      // History length is read from inside each page
+      const granted = await chrome.permissions.request(PAGE_ACCESS);
+      if (!granted) {
+        keepPolicySelect.value = (await loadSettings()).keepPolicy;
+        return;
       }
-    } catch (err) {
-      console.warn('Could not save settings:', err);
     }
+    await persistSettings({ keepPolicy });
     await scanTabs();
   });
-  rescanBtn.addEventListener('click', scanTabs);
+  rescanBtn.addEventListener('click', () => scanTabs({ rescan: true }));
+  organizeByDomainBtn.addEventListener('click', organizeAllByDomain);
+  downloadReportBtn.addEventListener('click', downloadReport);
+  copyReportBtn.addEventListener('click', copyReport);
+  openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  openDashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+  });
+  openSnapshotsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('snapshots/snapshots.html') });
+  });
+  recentToggle.addEventListener('click', toggleRecentlyClosed);
+  undoButton.addEventListener('click', undoLastClose);
 }
 
-async function scanTabs() {
+// Save settings, telling the user if storage refused them
+async function persistSettings(changes) {
+  try {
+    await saveSettings(changes);
+    return true;
+  } catch (e) {
+    console.error('Error saving settings:', e);
+    errorMessage.textContent = `Could not save settings: ${e.message}`;
+    errorNotice.classList.remove('hidden');
+    return false;
+  }
+}
+
+// ============ Scope ============
+
+// Scope options, plus one option per open tab group
+async function renderScopeOptions(settings) {
+  for (const [value, label] of Object.entries(SCOPES)) {
+    if (value !== 'tabGroup') {
+      scopeSelect.add(new Option(label, value, false, value === settings.scope));
+    }
+  }
+
+  let groups = [];
+  try {
+    groups = await chrome.tabGroups.query({});
+  } catch (e) {
+    console.warn('Could not list tab groups:', e);
+  }
+  for (const group of groups) {
+    const selected = settings.scope === 'tabGroup' && settings.scopeTabGroupId === group.id;
+    scopeSelect.add(new Option(`${SCOPES.tabGroup}: ${group.title || group.color}`, `tabGroup:${group.id}`, false, selected));
+  }
+  // The scanned tab group was closed - go back to scanning everything
+  if (settings.scope === 'tabGroup' && !groups.some(g => g.id === settings.scopeTabGroupId)) {
+    scopeSelect.value = 'all';
+    await persistSettings({ scope: 'all', scopeTabGroupId: null });
+  }
+}
+
+async function changeScope() {
+  const [scope, groupId] = scopeSelect.value.split(':');
+  await persistSettings({
+    scope,
+    scopeTabGroupId: scope === 'tabGroup' ? Number(groupId) : null
+  });
+  await scanTabs();
+}
+
+async function scanTabs({ rescan = false } = {}) {
   loading.classList.remove('hidden');
   content.classList.add('hidden');
 
+  // Stale and remote tabs load on their own, so one failing never hides the duplicates
+  const extrasLoaded = Promise.all([loadStaleTabs(), loadRemoteDuplicates()]);
+
   try {
-    const tabs = await chrome.tabs.query({});
-    currentAnalysis = analyzeTabs(tabs, threshold);
+    currentAnalysis = await sendMessage(rescan ? 'rescan' : 'getAnalysis', { windowId: popupWindowId });
     renderResults();
   } catch (e) {
     console.error('Error scanning tabs:', e);
   }
+  await extrasLoaded;
 
   loading.classList.add('hidden');
   content.classList.remove('hidden');
@@ -314,18 +246,20 @@ async function scanTabs() {
 
 function renderResults() {
   if (!currentAnalysis) return;
-  const { exactDuplicates, similarTabs, totalDuplicates, totalSimilar } = currentAnalysis;
+  const { exactDuplicates, similarClusters, totalDuplicates, totalSimilar } = currentAnalysis;
 
   if (totalDuplicates === 0 && totalSimilar === 0) {
     exactSection.classList.add('hidden');
     similarSection.classList.add('hidden');
+    reportExport.classList.add('hidden');
     noDuplicates.classList.remove('hidden');
     return;
   }
 
   noDuplicates.classList.add('hidden');
+  reportExport.classList.remove('hidden');
   renderExactDuplicates(exactDuplicates, totalDuplicates);
-  renderSimilarTabs(similarTabs, totalSimilar);
+  renderSimilarClusters(similarClusters.filter(cluster => !isSkipped(cluster)));
 }
 
 function renderExactDuplicates(groups, total) {
@@ -348,13 +282,19 @@ function renderExactDuplicates(groups, total) {
     groupEl.innerHTML = `
       <div class="tab-group-header">
         <span class="tab-group-title" title="${escapeHtml(group.tabs[0].url)}">${escapeHtml(displayUrl)}</span>
+        ${group.reason !== 'Exact duplicate' ? `<span class="tab-group-reason">${escapeHtml(group.reason)}</span>` : ''}
+        ${group.windowIds.length > 1 ? `<span class="tab-group-windows">${group.windowIds.length} windows</span>` : ''}
         <span class="tab-group-count">${group.count} tabs</span>
+        <button class="btn btn-link tab-action" data-action="organize" title="Put these tabs side by side in a tab group">Organize</button>
       </div>
     `;
 
-    for (let i = 0; i < group.tabs.length; i++) {
-      const tab = group.tabs[i];
-      const tabEl = createTabElement(tab, i === 0 ? 'Keep' : null);
+    groupEl.querySelector('[data-action="organize"]').addEventListener('click', () => {
+      organizeTabs(group.tabs, displayUrl);
+    });
+
+    for (const tab of group.tabs) {
+      const tabEl = createTabElement(tab, tab.id === group.keepTabId ? 'Keep' : null);
       groupEl.appendChild(tabEl);
     }
 
@@ -364,67 +304,106 @@ function renderExactDuplicates(groups, total) {
   closeAllBtn.classList.remove('hidden');
 }
 
-function renderSimilarTabs(pairs, total) {
+function renderSimilarClusters(clusters) {
   similarList.innerHTML = '';
 
-  if (pairs.length === 0) {
+  if (clusters.length === 0) {
     similarSection.classList.add('hidden');
     return;
   }
 
   similarSection.classList.remove('hidden');
-  similarCount.textContent = `${total} pair${total !== 1 ? 's' : ''}`;
-  similarCount.classList.toggle('zero', total === 0);
+  setSimilarCount(clusters.length);
 
-  for (let i = 0; i < pairs.length; i++) {
-    const pair = pairs[i];
-    const pairEl = document.createElement('div');
-    pairEl.className = 'similar-pair';
-    pairEl.dataset.index = i;
+  for (const cluster of clusters) {
+    const clusterEl = document.createElement('div');
+    clusterEl.className = 'similar-cluster';
+    const others = cluster.tabs.length - 1;
 
-    pairEl.innerHTML = `
-      <div class="similar-reason"><span>Reason: ${escapeHtml(pair.reason)}</span></div>
+    clusterEl.innerHTML = `
+      <div class="similar-reason"><span>${cluster.score}% match: ${escapeHtml(cluster.reasons.join(', '))}</span></div>
       <div class="similar-tabs">
-        ${createSimilarTabHtml(pair.tab1, 'A')}
-        ${createSimilarTabHtml(pair.tab2, 'B')}
+        ${cluster.tabs.map(tab => createSimilarTabHtml(tab, tab.id === cluster.representative.id)).join('')}
       </div>
+      <details class="similar-breakdown">
+        <summary>Why these are similar</summary>
+        ${cluster.pairs.map(createBreakdownHtml).join('')}
+      </details>
       <div class="similar-actions">
-        <button class="btn btn-success" data-action="keep" data-keep="1" data-close="2">Keep A</button>
-        <button class="btn btn-success" data-action="keep" data-keep="2" data-close="1">Keep B</button>
-        <button class="btn btn-skip" data-action="skip">Skip</button>
+        <button class="btn btn-success" data-action="keep-suggested">Keep suggested, close ${others} other${others !== 1 ? 's' : ''}</button>
+        <button class="btn btn-secondary" data-action="organize" title="Put these tabs side by side in a tab group">Organize</button>
+        <button class="btn btn-skip" data-action="skip" title="Don't show these pages as similar again">Skip</button>
+        <button class="btn btn-skip" data-action="skip-pattern" title="Don't show pages like these as similar again">Skip all like these</button>
       </div>
     `;
 
-    pairEl.querySelectorAll('[data-action="keep"]').forEach(btn => {
-      btn.addEventListener('click', () => handleSimilarAction(pair, btn.dataset.close === '1' ? pair.tab1 : pair.tab2, pairEl));
+    clusterEl.querySelector('[data-action="keep-suggested"]').addEventListener('click', () => {
+      handleClusterKeep(cluster, cluster.representative, clusterEl);
+    });
+    clusterEl.querySelector('[data-action="organize"]').addEventListener('click', () => {
+      organizeTabs(cluster.tabs, getHostKey(cluster.representative.url));
+    });
+    clusterEl.querySelector('[data-action="skip"]').addEventListener('click', () => {
+      skipCluster(cluster, 'pair', clusterEl);
     });
-    pairEl.querySelector('[data-action="skip"]').addEventListener('click', () => {
-      pairEl.remove();
-      updateSimilarCount();
+    clusterEl.querySelector('[data-action="skip-pattern"]').addEventListener('click', () => {
+      skipCluster(cluster, 'pattern', clusterEl);
     });
-    pairEl.querySelectorAll('.similar-tab').forEach((el, idx) => {
-      el.addEventListener('click', () => focusTab(idx === 0 ? pair.tab1 : pair.tab2));
+    clusterEl.querySelectorAll('.similar-tab').forEach((el, idx) => {
+      const tab = cluster.tabs[idx];
+      el.addEventListener('click', () => focusTab(tab));
+      el.querySelector('[data-action="keep-this"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleClusterKeep(cluster, tab, clusterEl);
+      });
     });
-    pairEl.querySelectorAll('.tab-favicon').forEach(img => {
+    clusterEl.querySelectorAll('.tab-favicon').forEach(img => {
       img.addEventListener('error', handleFaviconError);
     });
 
-    similarList.appendChild(pairEl);
+    similarList.appendChild(clusterEl);
   }
 }
 
+const SIGNAL_LABELS = { domain: 'Site', path: 'Path', title: 'Title' };
+
+// Explain one pair's score: the rule that matched and what each signal contributed
+function createBreakdownHtml(pair) {
+  const { rule, signals } = pair.breakdown;
+  const rows = signals.map(({ signal, score, weight, metric }) => `
+    <tr>
+      <td>${SIGNAL_LABELS[signal]}${metric ? ` <span class="breakdown-metric">${escapeHtml(TITLE_METRICS[metric].label)}</span>` : ''}</td>
+      <td>${score}%</td>
+      <td>&times; ${Math.round(weight * 100)}%</td>
+      <td>= ${Math.round(score * weight)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="breakdown-pair">
+      <div class="breakdown-title">
+        ${escapeHtml(pair.tab1.title || 'Untitled')} &harr; ${escapeHtml(pair.tab2.title || 'Untitled')}: <strong>${pair.score}%</strong>
+      </div>
+      <div class="breakdown-rule">${escapeHtml(SIMILARITY_RULES[rule])}${signals.length ? '' : ' (fixed score)'}</div>
+      ${rows ? `<table class="breakdown-table">${rows}</table>` : ''}
+    </div>
+  `;
+}
+
 const DEFAULT_FAVICON = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><rect fill="%23ddd" width="16" height="16" rx="2"/></svg>';
 
 function handleFaviconError(e) {
   e.target.src = DEFAULT_FAVICON;
 }
 
-function createSimilarTabHtml(tab, label) {
+function createSimilarTabHtml(tab, suggested) {
   const favicon = tab.favIconUrl || DEFAULT_FAVICON;
   return `
     <div class="similar-tab" data-tab-id="${tab.id}">
       <img class="tab-favicon" src="${escapeHtml(favicon)}" alt="">
-      <span class="tab-title" title="${escapeHtml(tab.url)}">[${label}] ${escapeHtml(tab.title || 'Untitled')}</span>
+      <span class="tab-title" title="${escapeHtml(tab.url)}">${escapeHtml(tab.title || 'Untitled')}</span>
+      ${suggested ? '<span class="tab-badge">Suggested</span>' : ''}
+      <button class="btn btn-link tab-action" data-action="keep-this">Keep this</button>
     </div>
   `;
 }
@@ -457,64 +436,396 @@ async function focusTab(tab) {
 async function closeAllDuplicates() {
   if (!currentAnalysis) return;
 
-  // Get the currently active tab so we don't close it
+  // Keep the tab the keep policy chose (always the active tab if it's in the group)
+  const tabsToClose = getTabsToClose(currentAnalysis.exactDuplicates);
+  if (tabsToClose.length === 0) return;
+
+  try {
+    const result = await sendMessage('closeTabs', {
+      tabIds: tabsToClose,
+      reasons: getCloseReasons(currentAnalysis.exactDuplicates)
+    });
+    showCloseResult(result);
+  } catch (e) {
+    console.error('Error closing duplicates:', e);
+  }
+  await scanTabs();
+}
+
+// Keep one tab of a similar cluster and close the rest
+async function handleClusterKeep(cluster, keepTab, clusterEl) {
   const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  const activeTabId = activeTab?.id;
-
-  const tabsToClose = [];
-  for (const group of currentAnalysis.exactDuplicates) {
-    // Check if active tab is in this group
-    const activeInGroup = group.tabs.find(t => t.id === activeTabId);
-
-    if (activeInGroup) {
-      // Keep the active tab, close all others in the group
-      for (const tab of group.tabs) {
-        if (tab.id !== activeTabId) {
-          tabsToClose.push(tab.id);
-        }
-      }
+  const tabIds = getClusterTabsToClose(cluster, keepTab, activeTab?.id);
+
+  try {
+    const result = await sendMessage('closeTabs', { tabIds, reasons: getClusterCloseReasons(cluster, tabIds) });
+    showCloseResult(result);
+  } catch (e) {
+    console.error('Error closing tabs:', e);
+  }
+  clusterEl.remove();
+  updateSimilarCount();
+}
+
+// Tabs to close when keeping one tab of a cluster - never the active tab
+function getClusterTabsToClose(cluster, keepTab, activeTabId) {
+  return cluster.tabs
+    .filter(tab => tab.id !== keepTab.id && tab.id !== activeTabId)
+    .map(tab => tab.id);
+}
+
+// Log each closed tab under the reason of its strongest pair (pairs are sorted strongest first)
+function getClusterCloseReasons(cluster, tabIds) {
+  const reasons = {};
+  for (const tabId of tabIds) {
+    const pair = cluster.pairs.find(p => p.tab1.id === tabId || p.tab2.id === tabId);
+    reasons[tabId] = getStatsReason(pair);
+  }
+  return reasons;
+}
+
+// The rule that matched a pair, for the stats log - pair.reason carries the
+// score, which would split the dashboard's reasons into one per percentage
+function getStatsReason(pair) {
+  return SIMILARITY_RULES[pair.breakdown.rule];
+}
+
+// Re-cluster only the pairs at or above the chosen score and keep one tab of each
+async function closeSimilarAbove() {
+  if (!currentAnalysis) return;
+
+  const minScore = parseInt(bulkThresholdInput.value);
+  const pairs = currentAnalysis.similarTabs.filter(pair =>
+    pair.score >= minScore && !skippedPairKeys.has(getPairKey(pair))
+  );
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  const tabIds = [];
+  const reasons = {};
+  for (const cluster of clusterSimilarPairs(pairs)) {
+    const clusterTabIds = getClusterTabsToClose(cluster, cluster.representative, activeTab?.id);
+    tabIds.push(...clusterTabIds);
+    Object.assign(reasons, getClusterCloseReasons(cluster, clusterTabIds));
+  }
+  if (tabIds.length === 0) return;
+
+  try {
+    const result = await sendMessage('closeTabs', { tabIds, reasons });
+    showCloseResult(result);
+  } catch (e) {
+    console.error('Error closing similar tabs:', e);
+  }
+  await scanTabs();
+}
+
+// Pairs skipped since the last scan - the stored ignore rules apply from the next one
+const skippedPairKeys = new Set();
+
+// Store an ignore rule for every pair in a cluster so later scans leave it out
+async function skipCluster(cluster, type, clusterEl) {
+  const rules = cluster.pairs.map(pair => {
+    const pattern = type === 'pattern' && suggestIgnorePattern(pair.tab1.url, pair.tab2.url);
+    return pattern
+      ? createIgnoreRule('pattern', pattern, pattern)
+      : createIgnoreRule('pair', pair.tab1.url, pair.tab2.url);
+  });
+
+  cluster.pairs.forEach(pair => skippedPairKeys.add(getPairKey(pair)));
+  clusterEl.remove();
+  updateSimilarCount();
+
+  const settings = await loadSettings();
+  await persistSettings({ ignoreRules: addIgnoreRules(settings.ignoreRules, rules) });
+
+  try {
+    await sendMessage('recordKept', {
+      decisions: cluster.pairs.map(pair => ({ url: pair.tab1.url, reason: getStatsReason(pair) }))
+    });
+  } catch (e) {
+    console.error('Error recording skipped tabs:', e);
+  }
+}
+
+function getPairKey(pair) {
+  return [pair.tab1.id, pair.tab2.id].sort((a, b) => a - b).join('-');
+}
+
+function isSkipped(cluster) {
+  return cluster.pairs.every(pair => skippedPairKeys.has(getPairKey(pair)));
+}
+
+// ============ Stale Tabs ============
+
+async function loadStaleTabs() {
+  try {
+    renderStaleTabs(await sendMessage('getStaleTabs', { windowId: popupWindowId }));
+  } catch (e) {
+    console.error('Error finding stale tabs:', e);
+    staleSection.classList.add('hidden');
+  }
+}
+
+function renderStaleTabs(staleTabs) {
+  staleList.innerHTML = '';
+  staleSection.classList.toggle('hidden', staleTabs.length === 0);
+  setStaleCount(staleTabs.length);
+
+  for (const { tab, reason, detail } of staleTabs) {
+    const el = createTabElement(tab);
+    el.classList.add('stale-tab');
+    el.querySelector('.tab-title').insertAdjacentHTML('afterend', `
+      <span class="stale-detail stale-${reason}" title="${escapeHtml(STALE_REASONS[reason])}">${escapeHtml(detail)}</span>
+      <button class="btn btn-link tab-action" data-action="close">Close</button>
+      ${reason === 'idle' ? '<button class="btn btn-link tab-action" data-action="discard">Discard</button>' : ''}
+      <button class="btn btn-link tab-action" data-action="bookmark">Bookmark &amp; close</button>
+    `);
+
+    el.querySelectorAll('.tab-action').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleStaleAction(tab, btn.dataset.action, el);
+      });
+    });
+    staleList.appendChild(el);
+  }
+}
+
+function setStaleCount(count) {
+  staleCount.textContent = `${count} tab${count !== 1 ? 's' : ''}`;
+}
+
+async function handleStaleAction(tab, action, el) {
+  try {
+    if (action === 'discard') {
+      await chrome.tabs.discard(tab.id);
     } else {
-      // Active tab not in group - keep first tab, close the rest
-      for (let i = 1; i < group.tabs.length; i++) {
-        tabsToClose.push(group.tabs[i].id);
-      }
+      const result = action === 'bookmark'
+        ? await sendMessage('bookmarkAndCloseTabs', { tabIds: [tab.id] })
+        : await sendMessage('closeTabs', { tabIds: [tab.id], logStats: false });
+      showCloseResult(result);
+      if (result.closed === 0) return; // Protected - leave it listed
     }
+  } catch (e) {
+    console.error('Error handling stale tab:', e);
+    return;
   }
-  if (tabsToClose.length === 0) return;
 
+  el.remove();
+  const remaining = staleList.children.length;
+  setStaleCount(remaining);
+  staleSection.classList.toggle('hidden', remaining === 0);
+}
+
+// ============ Open on Other Devices ============
+
+async function loadRemoteDuplicates() {
+  try {
+    renderRemoteDuplicates(await sendMessage('getRemoteDuplicates', { windowId: popupWindowId }));
+  } catch (e) {
+    console.error('Error finding tabs open on other devices:', e);
+    remoteSection.classList.add('hidden');
+  }
+}
+
+function renderRemoteDuplicates(remoteDuplicates) {
+  remoteList.innerHTML = '';
+  remoteSection.classList.toggle('hidden', remoteDuplicates.length === 0);
+  setRemoteCount(remoteDuplicates.length);
+
+  for (const { tab, devices } of remoteDuplicates) {
+    const el = createTabElement(tab);
+    el.querySelector('.tab-title').insertAdjacentHTML('afterend', `
+      <span class="remote-devices" title="Also open on ${escapeHtml(devices.join(', '))}">${escapeHtml(devices.join(', '))}</span>
+      <button class="btn btn-link tab-action" data-action="close" title="Close this copy; the other device keeps its tab">Close here</button>
+    `);
+
+    el.querySelector('[data-action="close"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeRemoteDuplicate(tab, el);
+    });
+    remoteList.appendChild(el);
+  }
+}
+
+function setRemoteCount(count) {
+  remoteCount.textContent = `${count} tab${count !== 1 ? 's' : ''}`;
+}
+
+async function closeRemoteDuplicate(tab, el) {
   try {
-    await chrome.tabs.remove(tabsToClose);
+    // The page isn't a duplicate of a local tab, so the close stays out of the duplicate stats
+    const result = await sendMessage('closeTabs', { tabIds: [tab.id], logStats: false });
+    showCloseResult(result);
+    if (result.closed === 0) return; // Protected - leave it listed
   } catch (e) {
-    // Some tabs may have been closed already - that's OK
-    console.warn('Some tabs may have been closed already:', e.message);
+    console.error('Error closing tab:', e);
+    return;
+  }
+
+  el.remove();
+  const remaining = remoteList.children.length;
+  setRemoteCount(remaining);
+  remoteSection.classList.toggle('hidden', remaining === 0);
+}
+
+// ============ Organize ============
+
+// Gather tabs into a tab group instead of closing them
+async function organizeTabs(tabs, title) {
+  try {
+    await sendMessage('organizeTabs', { tabIds: tabs.map(t => t.id), title });
+  } catch (e) {
+    console.error('Error organizing tabs:', e);
   }
   await scanTabs();
 }
 
-async function handleSimilarAction(pair, tabToClose, pairEl) {
-  // Don't close the currently active tab
-  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tabToClose.id === activeTab?.id) {
-    // User is trying to close the active tab - close the other one instead
-    const otherTab = tabToClose.id === pair.tab1.id ? pair.tab2 : pair.tab1;
-    tabToClose = otherTab;
+// Group every window's tabs by domain, within the scan scope
+async function organizeAllByDomain() {
+  try {
+    await sendMessage('organizeByDomain', { windowId: popupWindowId });
+  } catch (e) {
+    console.error('Error organizing tabs by domain:', e);
   }
+  await scanTabs();
+}
+
+// ============ Report Export ============
 
+function downloadReport() {
+  if (!currentAnalysis) return;
+  const format = reportFormatSelect.value;
+  const { mimeType } = REPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([formatReport(currentAnalysis, format)], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getReportFilename(format);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function copyReport() {
+  if (!currentAnalysis) return;
   try {
-    await chrome.tabs.remove([tabToClose.id]);
-    pairEl.remove();
-    updateSimilarCount();
+    await navigator.clipboard.writeText(formatReport(currentAnalysis, reportFormatSelect.value));
+    showReportStatus('Copied');
   } catch (e) {
-    // Tab may have been closed already - just remove from UI and rescan
-    console.warn('Tab already closed:', e.message);
-    pairEl.remove();
-    updateSimilarCount();
+    console.error('Error copying report:', e);
+    showReportStatus('Copy failed');
+  }
+}
+
+function showReportStatus(message) {
+  reportStatus.textContent = message;
+  setTimeout(() => { reportStatus.textContent = ''; }, 2000);
+}
+
+// ============ Close Results, Undo & Recently Closed ============
+
+let undoTimer = null;
+
+function showCloseResult(result) {
+  showUndoToast(result);
+  showSkippedTabs(result ? result.skipped : []);
+}
+
+// Explain which tabs the protection settings kept open
+function showSkippedTabs(skipped) {
+  skippedList.innerHTML = '';
+  if (!skipped || skipped.length === 0) {
+    skippedNotice.classList.add('hidden');
+    return;
+  }
+
+  skippedTitle.textContent = `Kept ${skipped.length} protected tab${skipped.length !== 1 ? 's' : ''} open`;
+  for (const tab of skipped) {
+    const li = document.createElement('li');
+    li.title = tab.url;
+    li.textContent = `${tab.title || 'Untitled'} - ${tab.reason}`;
+    skippedList.appendChild(li);
   }
+  skippedNotice.classList.remove('hidden');
+}
+
+function showUndoToast(result) {
+  if (!result || result.closed === 0) return;
+
+  undoMessage.textContent = `Closed ${result.closed} tab${result.closed !== 1 ? 's' : ''}`;
+  undoToast.dataset.batchId = result.batchId;
+  undoToast.classList.remove('hidden');
+
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(hideUndoToast, 8000);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoTimer);
+  undoToast.classList.add('hidden');
+  delete undoToast.dataset.batchId;
+}
+
+async function undoLastClose() {
+  const batchId = undoToast.dataset.batchId;
+  hideUndoToast();
+  if (!batchId) return;
+
+  await restoreClosed({ batchId });
+}
+
+async function restoreClosed(target) {
+  try {
+    await sendMessage('restoreClosed', target);
+  } catch (e) {
+    console.error('Error restoring tabs:', e);
+  }
+  if (!recentPanel.classList.contains('hidden')) {
+    await renderRecentlyClosed();
+  }
+  await scanTabs();
+}
+
+async function toggleRecentlyClosed() {
+  recentPanel.classList.toggle('hidden');
+  if (!recentPanel.classList.contains('hidden')) {
+    await renderRecentlyClosed();
+  }
+}
+
+async function renderRecentlyClosed() {
+  let entries = [];
+  try {
+    entries = await sendMessage('getRecentlyClosed');
+  } catch (e) {
+    console.error('Error loading recently closed tabs:', e);
+  }
+
+  recentList.innerHTML = '';
+  recentEmpty.classList.toggle('hidden', entries.length > 0);
+
+  for (const entry of entries) {
+    const el = document.createElement('div');
+    el.className = 'tab-item';
+    const favicon = entry.favIconUrl || DEFAULT_FAVICON;
+
+    el.innerHTML = `
+      <img class="tab-favicon" src="${escapeHtml(favicon)}" alt="">
+      <span class="tab-title" title="${escapeHtml(entry.url)}">${escapeHtml(entry.title || entry.url)}</span>
+      <button class="btn btn-link tab-action">Restore</button>
+    `;
+    el.querySelector('.tab-favicon').addEventListener('error', handleFaviconError);
+    el.querySelector('.tab-action').addEventListener('click', () => restoreClosed({ entryIds: [entry.id] }));
+    recentList.appendChild(el);
+  }
+}
+
+function setSimilarCount(count) {
+  similarCount.textContent = `${count} group${count !== 1 ? 's' : ''}`;
+  similarCount.classList.toggle('zero', count === 0);
 }
 
 function updateSimilarCount() {
-  const remaining = similarList.querySelectorAll('.similar-pair').length;
-  similarCount.textContent = `${remaining} pair${remaining !== 1 ? 's' : ''}`;
+  const remaining = similarList.querySelectorAll('.similar-cluster').length;
+  setSimilarCount(remaining);
   if (remaining === 0) {
     similarSection.classList.add('hidden');
     checkEmpty();
@@ -0,0 +1,138 @@
+/**
+ * Snapshot Manager for Duplicate Tab Closer
+ */
+
+import { sendMessage } from '../lib/messaging.js';
+
+// ============ DOM Elements ============
+
+const nameInput = document.getElementById('snapshot-name');
+const saveBtn = document.getElementById('save-snapshot');
+const statusText = document.getElementById('status');
+const snapshotList = document.getElementById('snapshot-list');
+const noSnapshots = document.getElementById('no-snapshots');
+
+async function init() {
+  saveBtn.addEventListener('click', save);
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+  await render();
+}
+
+async function render() {
+  const snapshots = await sendMessage('listSnapshots');
+  snapshotList.innerHTML = '';
+  noSnapshots.classList.toggle('hidden', snapshots.length > 0);
+
+  for (const snapshot of snapshots) {
+    snapshotList.appendChild(createSnapshotElement(snapshot));
+  }
+}
+
+function describeSnapshot(snapshot) {
+  const windows = snapshot.windows.length;
+  const parts = [
+    new Date(snapshot.createdAt).toLocaleString(),
+    `${snapshot.tabCount} tab${snapshot.tabCount !== 1 ? 's' : ''} in ${windows} window${windows !== 1 ? 's' : ''}`
+  ];
+  if (snapshot.duplicatesDropped > 0) {
+    parts.push(`${snapshot.duplicatesDropped} duplicate${snapshot.duplicatesDropped !== 1 ? 's' : ''} left out`);
+  }
+  return parts.join(' - ');
+}
+
+function createSnapshotElement(snapshot) {
+  const li = document.createElement('li');
+  li.innerHTML = `
+    <div class="snapshot-title">
+      <span class="snapshot-name"></span>
+    </div>
+    <div class="snapshot-meta"></div>
+    <div class="snapshot-actions">
+      <button class="btn btn-secondary" data-action="restore-new">Restore in new window</button>
+      <button class="btn btn-secondary" data-action="restore-merged" title="Pages that are already open are skipped">Add to this window</button>
+      <button class="btn btn-link" data-action="rename">Rename</button>
+      <button class="btn btn-link btn-danger" data-action="delete">Delete</button>
+    </div>
+  `;
+  const nameEl = li.querySelector('.snapshot-name');
+  nameEl.textContent = snapshot.name;
+  nameEl.title = snapshot.windows.flatMap(w => w.tabs).map(t => t.title || t.url).join('\n');
+  li.querySelector('.snapshot-meta').textContent = describeSnapshot(snapshot);
+
+  li.querySelector('[data-action="restore-new"]').addEventListener('click', () => restore(snapshot, false));
+  li.querySelector('[data-action="restore-merged"]').addEventListener('click', () => restore(snapshot, true));
+  li.querySelector('[data-action="rename"]').addEventListener('click', () => startRename(snapshot, nameEl));
+  li.querySelector('[data-action="delete"]').addEventListener('click', () => remove(snapshot));
+  return li;
+}
+
+// ============ Actions ============
+
+async function save() {
+  try {
+    const snapshot = await sendMessage('saveSnapshot', { name: nameInput.value });
+    nameInput.value = '';
+    showStatus(`Saved "${snapshot.name}"`);
+  } catch (e) {
+    showStatus(e.message, true);
+  }
+  await render();
+}
+
+async function restore(snapshot, merge) {
+  try {
+    const windowId = merge ? (await chrome.windows.getCurrent()).id : undefined;
+    const { opened, alreadyOpen } = await sendMessage('restoreSnapshot', { id: snapshot.id, merge, windowId });
+    const skipped = alreadyOpen > 0 ? `, ${alreadyOpen} already open` : '';
+    showStatus(`Opened ${opened} tab${opened !== 1 ? 's' : ''}${skipped}`);
+  } catch (e) {
+    showStatus(e.message, true);
+  }
+}
+
+// Swap the name for an input; Enter or leaving the field saves, Escape cancels
+function startRename(snapshot, nameEl) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'snapshot-name-input';
+  input.value = snapshot.name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  async function finish(commit) {
+    if (done) return;
+    done = true;
+    if (commit && input.value.trim() && input.value.trim() !== snapshot.name) {
+      try {
+        await sendMessage('renameSnapshot', { id: snapshot.id, name: input.value });
+      } catch (e) {
+        showStatus(e.message, true);
+      }
+    }
+    await render();
+  }
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function remove(snapshot) {
+  if (!confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+  await sendMessage('deleteSnapshot', { id: snapshot.id });
+  await render();
+}
+
+function showStatus(message, isError = false) {
+  statusText.textContent = message;
+  statusText.classList.toggle('error', isError);
+  setTimeout(() => { statusText.textContent = ''; }, 3000);
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIdentityKey, compileRules } from '../lib/fuzzy-matcher.js';
+
+// [rule, url, expected identity key]
+const FIXTURES = [
+  ['github-issue', 'https://github.com/acme/app/pull/42', 'github:acme/app/42'],
+  ['github-issue', 'https://github.com/acme/app/pull/42/files', 'github:acme/app/42'],
+  ['github-issue', 'https://github.com/acme/app/pull/42/commits', 'github:acme/app/42'],
+  ['github-issue', 'https://github.com/acme/app/issues/7', 'github:acme/app/7'],
+  ['jira-browse', 'https://acme.atlassian.net/browse/PROJ-1', 'jira:acme.atlassian.net:PROJ-1'],
+  ['jira-browse', 'https://other.atlassian.net/browse/PROJ-1', 'jira:other.atlassian.net:PROJ-1'],
+  ['jira-selected', 'https://acme.atlassian.net/jira/software/projects/PROJ/boards/3?selectedIssue=PROJ-1', 'jira:acme.atlassian.net:PROJ-1'],
+  ['youtube-short-link', 'https://youtu.be/dQw4w9WgXcQ', 'youtube:dQw4w9WgXcQ'],
+  ['youtube-watch', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube:dQw4w9WgXcQ'],
+  ['youtube-watch', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s', 'youtube:dQw4w9WgXcQ'],
+  ['youtube-shorts', 'https://www.youtube.com/shorts/abc-123', 'youtube:abc-123'],
+  ['notion-page', 'https://www.notion.so/acme/Roadmap-0123456789abcdef0123456789abcdef', 'notion:0123456789abcdef0123456789abcdef'],
+  ['notion-page', 'https://www.notion.so/0123456789abcdef0123456789abcdef', 'notion:0123456789abcdef0123456789abcdef'],
+  ['figma-file', 'https://www.figma.com/file/AbC123/Design', 'figma:AbC123'],
+  ['figma-file', 'https://www.figma.com/design/AbC123/Design?node-id=1', 'figma:AbC123'],
+  ['confluence-page', 'https://acme.atlassian.net/wiki/spaces/ENG/pages/98765/Title', 'confluence:acme.atlassian.net:98765'],
+  ['confluence-viewpage', 'https://acme.atlassian.net/wiki/pages/viewpage.action?pageId=98765', 'confluence:acme.atlassian.net:98765'],
+  ['stackoverflow-question', 'https://stackoverflow.com/questions/123/how-to', 'stackoverflow:123'],
+  ['stackoverflow-question', 'https://stackoverflow.com/q/123', 'stackoverflow:123'],
+  ['google-drive-open', 'https://drive.google.com/open?id=FILE1', 'gdrive:file:FILE1'],
+  ['google-drive-file', 'https://drive.google.com/file/d/FILE1/view', 'gdrive:file:FILE1'],
+  ['google-forms', 'https://docs.google.com/forms/d/e/FORM1/viewform', 'gdoc:form:FORM1'],
+  ['google-forms', 'https://docs.google.com/forms/d/FORM1/edit', 'gdoc:form:FORM1'],
+  ['none', 'https://example.com/', null]
+];
+
+for (const [rule, url, expected] of FIXTURES) {
+  test(`${rule}: ${url}`, () => {
+    assert.equal(getIdentityKey(url), expected);
+  });
+}
+
+test('user rules without a key or id on one host keep separate identity keys', () => {
+  const rules = compileRules([
+    { host: 'wiki.corp', pathPattern: '^/pages/(\\d+)' },
+    { host: 'wiki.corp', pathPattern: '^/spaces/(\\d+)' }
+  ]);
+  const pageKey = getIdentityKey('https://wiki.corp/pages/5', rules);
+  const spaceKey = getIdentityKey('https://wiki.corp/spaces/5', rules);
+
+  assert.ok(pageKey);
+  assert.ok(spaceKey);
+  assert.notEqual(pageKey, spaceKey);
+  assert.equal(getIdentityKey('https://wiki.corp/pages/5?x=1', rules), pageKey);
+});
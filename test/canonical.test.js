@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTabs } from '../lib/fuzzy-matcher.js';
+import { createTabIndex } from '../lib/tab-index.js';
+
+const article = { id: 1, url: 'https://news.example.com/2024/story', title: 'Story', windowId: 1 };
+const ampCopy = { id: 2, url: 'https://news.example.com/amp/2024/story', title: 'Story', windowId: 1 };
+
+test('an AMP copy groups with a canonical page that declares no canonical URL', () => {
+  const canonicalUrls = new Map([[ampCopy.id, article.url]]);
+  const analysis = analyzeTabs([article, ampCopy], { canonicalUrls });
+
+  assert.equal(analysis.exactDuplicates.length, 1);
+  assert.equal(analysis.exactDuplicates[0].reason, 'Same canonical URL');
+  assert.deepEqual(analysis.exactDuplicates[0].tabs.map(t => t.id).sort(), [1, 2]);
+});
+
+test('pages declaring the same og:title are similar', () => {
+  const tabs = [
+    { id: 1, url: 'https://blog.example.com/p/8812', title: 'Blog', windowId: 1 },
+    { id: 2, url: 'https://blog.example.com/posts/why-we-rewrote-it', title: 'Blog', windowId: 1 }
+  ];
+  const ogTitles = new Map([[1, 'Why we rewrote it'], [2, 'Why we rewrote it']]);
+
+  assert.equal(analyzeTabs(tabs).similarTabs.length, 0);
+
+  const { similarTabs } = analyzeTabs(tabs, { ogTitles });
+  assert.equal(similarTabs.length, 1);
+  assert.equal(similarTabs[0].breakdown.rule, 'ogTitle');
+  assert.equal(similarTabs[0].tab1, tabs[0]);
+});
+
+test('index picks up page identities like a full scan', () => {
+  const tabs = [
+    article,
+    ampCopy,
+    { id: 3, url: 'https://blog.example.com/p/8812', title: 'Blog', windowId: 1 },
+    { id: 4, url: 'https://blog.example.com/posts/why-we-rewrote-it', title: 'Blog', windowId: 1 }
+  ];
+  const index = createTabIndex();
+  index.rebuild(tabs);
+
+  assert.equal(index.setPageIdentity(2, { canonicalUrl: article.url }), true);
+  assert.equal(index.setPageIdentity(3, { ogTitle: 'Why we rewrote it' }), true);
+  assert.equal(index.setPageIdentity(4, { ogTitle: 'Why we rewrote it' }), true);
+  assert.equal(index.setPageIdentity(4, { ogTitle: 'Why we rewrote it' }), false);
+
+  const analysis = index.getAnalysis();
+  assert.deepEqual(analysis.exactDuplicates.map(group => group.reason), ['Same canonical URL']);
+  assert.deepEqual(analysis.similarTabs.map(pair => pair.breakdown.rule), ['ogTitle']);
+
+  // A title-only change (an unread count) keeps what the page declared
+  assert.equal(index.upsertTab({ ...ampCopy, title: '(1) Story' }), true);
+  assert.equal(index.upsertTab({ ...tabs[2], title: '(3) Blog' }), true);
+  const retitled = index.getAnalysis();
+  assert.deepEqual(retitled.exactDuplicates.map(group => group.reason), ['Same canonical URL']);
+  assert.deepEqual(retitled.similarTabs.map(pair => pair.breakdown.rule), ['ogTitle']);
+  assert.equal(retitled.similarTabs.some(pair => pair.tab1.title === '(3) Blog' || pair.tab2.title === '(3) Blog'), true);
+
+  // Navigating away forgets it until the new page is read
+  index.upsertTab({ ...ampCopy, url: 'https://news.example.com/amp/2024/other' });
+  assert.equal(index.getAnalysis().exactDuplicates.length, 0);
+
+  index.setPageIdentity(4, {});
+  assert.equal(index.getAnalysis().similarTabs.length, 0);
+});
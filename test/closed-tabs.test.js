@@ -0,0 +1,58 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeChrome } from './fake-chrome.js';
+import { closeTabs, getRecentlyClosed } from '../background/closed-tabs.js';
+
+function makeTabs(count, firstId = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: firstId + i,
+    url: `https://example.com/page/${firstId + i}`,
+    title: `Page ${firstId + i}`,
+    windowId: 1,
+    index: i,
+    pinned: false,
+    audible: false
+  }));
+}
+
+beforeEach(() => {
+  installFakeChrome({ tabs: makeTabs(200) });
+});
+
+test('a close of more than the history limit is kept whole', async () => {
+  const { batchId, closed } = await closeTabs(makeTabs(80).map(t => t.id));
+  const entries = await getRecentlyClosed();
+
+  assert.equal(closed, 80);
+  assert.equal(entries.filter(e => e.batchId === batchId).length, 80);
+});
+
+test('older batches are dropped whole', async () => {
+  const first = await closeTabs([1, 2, 3]);
+  const second = await closeTabs(makeTabs(60, 10).map(t => t.id));
+  const entries = await getRecentlyClosed();
+
+  assert.equal(entries.some(e => e.batchId === first.batchId), false);
+  assert.equal(entries.filter(e => e.batchId === second.batchId).length, 60);
+});
+
+test('closes running at the same time are all recorded', async () => {
+  const results = await Promise.all(makeTabs(10).map(tab => closeTabs([tab.id])));
+  const entries = await getRecentlyClosed();
+
+  assert.equal(results.every(r => r.closed === 1), true);
+  assert.equal(entries.length, 10);
+  const { duplicateStats } = await chrome.storage.local.get('duplicateStats');
+  assert.equal(duplicateStats.length, 10);
+});
+
+test('closes with logStats false are undoable but left out of the stats', async () => {
+  await closeTabs([1, 2], { 1: 'Exact duplicate' });
+  const { closed } = await closeTabs([3], {}, { logStats: false });
+  const entries = await getRecentlyClosed();
+
+  assert.equal(closed, 1);
+  assert.equal(entries.length, 3);
+  const { duplicateStats } = await chrome.storage.local.get('duplicateStats');
+  assert.equal(duplicateStats.length, 2);
+});
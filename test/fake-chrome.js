@@ -0,0 +1,71 @@
+/**
+ * Minimal in-memory chrome.* for tests of background modules
+ * Storage calls resolve on a later tick, like the real ones, so overlapping
+ * read-modify-writes interleave.
+ */
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Create a storage area; quotaBytesPerItem makes set() reject oversized items as storage.sync does
+ */
+export function createFakeStorageArea({ quotaBytesPerItem = Infinity } = {}) {
+  const data = new Map();
+
+  return {
+    data,
+    async get(keys) {
+      await tick();
+      const wanted = keys == null ? [...data.keys()] : typeof keys === 'string' ? [keys] : keys;
+      const result = {};
+      for (const key of wanted) {
+        if (data.has(key)) result[key] = structuredClone(data.get(key));
+      }
+      return result;
+    },
+    async set(items) {
+      await tick();
+      for (const [key, value] of Object.entries(items)) {
+        if (JSON.stringify(value).length + key.length > quotaBytesPerItem) {
+          throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded`);
+        }
+      }
+      for (const [key, value] of Object.entries(items)) {
+        data.set(key, structuredClone(value));
+      }
+    },
+    async remove(keys) {
+      await tick();
+      for (const key of typeof keys === 'string' ? [keys] : keys) data.delete(key);
+    }
+  };
+}
+
+/**
+ * Install a fake chrome global with storage, tabs and permissions
+ * tabs is a list of tab objects; closing removes them from it
+ */
+export function installFakeChrome({ tabs = [], syncQuotaBytesPerItem = 8192 } = {}) {
+  const openTabs = new Map(tabs.map(tab => [tab.id, tab]));
+
+  globalThis.chrome = {
+    storage: {
+      local: createFakeStorageArea(),
+      session: createFakeStorageArea(),
+      sync: createFakeStorageArea({ quotaBytesPerItem: syncQuotaBytesPerItem })
+    },
+    tabs: {
+      async get(tabId) {
+        if (!openTabs.has(tabId)) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...openTabs.get(tabId) };
+      },
+      async remove(tabIds) {
+        for (const tabId of [].concat(tabIds)) openTabs.delete(tabId);
+      }
+    },
+    permissions: {
+      contains: async () => false
+    }
+  };
+  return globalThis.chrome;
+}
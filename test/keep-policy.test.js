@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseTabToKeep, KEEP_POLICIES } from '../lib/keep-policy.js';
+
+function makeTab(id, props = {}) {
+  return { id, windowId: 1, groupId: -1, pinned: false, audible: false, lastAccessed: 0, ...props };
+}
+
+// For each policy: a group where the policy should pick the tab with keepId
+const CASES = {
+  tabOrder: { tabs: [makeTab(3), makeTab(1), makeTab(2)], keepId: 3 },
+  lastAccessed: { tabs: [makeTab(1, { lastAccessed: 100 }), makeTab(2, { lastAccessed: 300 }), makeTab(3, { lastAccessed: 200 })], keepId: 2 },
+  oldest: { tabs: [makeTab(7), makeTab(4), makeTab(9)], keepId: 4 },
+  pinned: { tabs: [makeTab(1), makeTab(2, { pinned: true })], keepId: 2 },
+  audible: { tabs: [makeTab(1), makeTab(2), makeTab(3, { audible: true })], keepId: 3 },
+  focusedWindow: { tabs: [makeTab(1), makeTab(2, { windowId: 5 })], context: { focusedWindowId: 5 }, keepId: 2 },
+  tabGroup: { tabs: [makeTab(1), makeTab(2, { groupId: 12 })], keepId: 2 },
+  longestHistory: { tabs: [makeTab(1), makeTab(2), makeTab(3)], context: { historyLengths: { 1: 2, 2: 9, 3: 4 } }, keepId: 2 }
+};
+
+test('every policy has a test case', () => {
+  assert.deepEqual(Object.keys(CASES).sort(), Object.keys(KEEP_POLICIES).sort());
+});
+
+for (const [policy, { tabs, context = {}, keepId }] of Object.entries(CASES)) {
+  test(`${policy} keeps tab ${keepId}`, () => {
+    assert.equal(chooseTabToKeep(tabs, policy, context).id, keepId);
+  });
+
+  test(`${policy} always keeps the active tab`, () => {
+    const active = tabs.find(tab => tab.id !== keepId);
+    assert.equal(chooseTabToKeep(tabs, policy, { ...context, activeTabId: active.id }).id, active.id);
+  });
+}
+
+test('ties go to the first tab in the group', () => {
+  const tabs = [makeTab(5, { pinned: true }), makeTab(2, { pinned: true }), makeTab(8)];
+  assert.equal(chooseTabToKeep(tabs, 'pinned').id, 5);
+  assert.equal(chooseTabToKeep([makeTab(4), makeTab(1)], 'audible').id, 4);
+  assert.equal(chooseTabToKeep([makeTab(4), makeTab(1)], 'focusedWindow', { focusedWindowId: 9 }).id, 4);
+});
+
+test('an active tab outside the group is ignored', () => {
+  const tabs = [makeTab(1), makeTab(2, { pinned: true })];
+  assert.equal(chooseTabToKeep(tabs, 'pinned', { activeTabId: 99 }).id, 2);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRemoteTabs, findRemoteDuplicates } from '../lib/remote-tabs.js';
+
+// chrome.sessions.getDevices() results: a session holds either a window or one tab
+const DEVICES = [
+  {
+    deviceName: 'Laptop',
+    sessions: [
+      {
+        lastModified: 2,
+        window: {
+          tabs: [
+            { url: 'https://docs.google.com/document/d/abc123/edit', title: 'Plan' },
+            { url: 'chrome://newtab/', title: 'New Tab' },
+            { url: 'https://example.com/a' }
+          ]
+        }
+      },
+      { lastModified: 1, tab: { url: 'https://news.example.org/story', title: 'Story' } }
+    ]
+  },
+  {
+    deviceName: 'Phone',
+    sessions: [
+      { lastModified: 3, tab: { url: 'https://example.com/a#comments', title: 'A' } },
+      { lastModified: 4, window: {} }
+    ]
+  }
+];
+
+test('getRemoteTabs flattens window and single-tab sessions', () => {
+  assert.deepEqual(getRemoteTabs(DEVICES), [
+    { url: 'https://docs.google.com/document/d/abc123/edit', title: 'Plan', deviceName: 'Laptop' },
+    { url: 'https://example.com/a', title: '', deviceName: 'Laptop' },
+    { url: 'https://news.example.org/story', title: 'Story', deviceName: 'Laptop' },
+    { url: 'https://example.com/a#comments', title: 'A', deviceName: 'Phone' }
+  ]);
+});
+
+test('getRemoteTabs handles no devices', () => {
+  assert.deepEqual(getRemoteTabs([]), []);
+  assert.deepEqual(getRemoteTabs([{ deviceName: 'Tablet', sessions: [] }]), []);
+});
+
+test('findRemoteDuplicates matches a Google Doc open for viewing here and editing elsewhere', () => {
+  const localTabs = [
+    { id: 1, url: 'https://docs.google.com/document/d/abc123/view' },
+    { id: 2, url: 'https://docs.google.com/document/d/other/edit' }
+  ];
+  const duplicates = findRemoteDuplicates(localTabs, getRemoteTabs(DEVICES));
+
+  assert.deepEqual(duplicates, [{ tab: localTabs[0], devices: ['Laptop'] }]);
+});
+
+test('findRemoteDuplicates lists every device a page is open on, in local tab order', () => {
+  const localTabs = [
+    { id: 1, url: 'https://news.example.org/story/' },
+    { id: 2, url: 'https://www.example.com/a' },
+    { id: 3, url: 'chrome://newtab/' }
+  ];
+  const duplicates = findRemoteDuplicates(localTabs, getRemoteTabs(DEVICES));
+
+  assert.deepEqual(duplicates, [
+    { tab: localTabs[0], devices: ['Laptop'] },
+    { tab: localTabs[1], devices: ['Laptop', 'Phone'] }
+  ]);
+});
+
+test('findRemoteDuplicates leaves out excluded domains', () => {
+  const localTabs = [
+    { id: 1, url: 'https://example.com/a' },
+    { id: 2, url: 'https://news.example.org/story' }
+  ];
+  const duplicates = findRemoteDuplicates(localTabs, getRemoteTabs(DEVICES), { excludedDomains: ['example.com'] });
+
+  assert.deepEqual(duplicates, [{ tab: localTabs[1], devices: ['Laptop'] }]);
+});
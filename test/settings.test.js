@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeChrome } from './fake-chrome.js';
+import { parseImportedSettings, exportSettings, getMatcherOptions, DEFAULT_SETTINGS, SETTINGS_VERSION } from '../lib/settings.js';
+
+// Each import gets its own module instance, so each test migrates from scratch
+let instance = 0;
+const importSettings = () => import(`../lib/settings.js?instance=${instance++}`);
+
+const manyIgnoreRules = Array.from({ length: 100 }, (_, i) => ({
+  id: `rule-${i}`,
+  type: 'pair',
+  a: `https://example.com/some/long/path/to/page/${i}`,
+  b: `https://example.com/some/long/path/to/other/page/${i}`,
+  createdAt: 0
+}));
+
+test('pre-sync settings move to sync, with large lists kept local', async () => {
+  const chrome = installFakeChrome();
+  chrome.storage.local.data.set('threshold', 70);
+  chrome.storage.local.data.set('ignoreRules', manyIgnoreRules);
+
+  const { loadSettings } = await importSettings();
+  const settings = await loadSettings();
+
+  assert.equal(settings.threshold, 70);
+  assert.equal(settings.ignoreRules.length, 100);
+  assert.equal(chrome.storage.sync.data.get('threshold'), 70);
+  assert.equal(chrome.storage.sync.data.get('settingsVersion'), SETTINGS_VERSION);
+  assert.equal(chrome.storage.local.data.has('threshold'), false);
+  assert.equal(chrome.storage.local.data.get('ignoreRules').length, 100);
+});
+
+test('synced ignore and site rules move back to local', async () => {
+  const chrome = installFakeChrome();
+  chrome.storage.sync.data.set('settingsVersion', 1);
+  chrome.storage.sync.data.set('ignoreRules', manyIgnoreRules.slice(0, 3));
+  chrome.storage.sync.data.set('keepPolicy', 'oldest');
+
+  const { loadSettings } = await importSettings();
+  const settings = await loadSettings();
+
+  assert.equal(settings.ignoreRules.length, 3);
+  assert.equal(settings.keepPolicy, 'oldest');
+  assert.equal(chrome.storage.sync.data.has('ignoreRules'), false);
+  assert.equal(chrome.storage.local.data.get('ignoreRules').length, 3);
+});
+
+test('a failed sync write keeps the legacy settings', async () => {
+  const chrome = installFakeChrome({ syncQuotaBytesPerItem: 10 });
+  chrome.storage.local.data.set('autoDedupeDenylist', ['mail.google.com', 'calendar.google.com']);
+
+  const { loadSettings } = await importSettings();
+  await loadSettings();
+
+  assert.deepEqual(chrome.storage.local.data.get('autoDedupeDenylist'), ['mail.google.com', 'calendar.google.com']);
+  assert.equal(chrome.storage.sync.data.has('settingsVersion'), false);
+});
+
+test('saveSettings reports a refused write', async () => {
+  installFakeChrome({ syncQuotaBytesPerItem: 20 });
+  const { saveSettings } = await importSettings();
+  await assert.rejects(saveSettings({ excludedDomains: ['a-very-long-domain-name.example.com'] }), /quota/);
+});
+
+test('import rejects settings that would break the matcher', () => {
+  const imports = [
+    { similarityWeights: null },
+    { similarityWeights: { domain: 'x', path: 1, title: 1 } },
+    { trackingParams: [1] },
+    { ignoreRules: [{ type: 'pattern', a: 1, b: 2 }] },
+    { ignoreRules: [null] },
+    { keepPolicy: 'biggest' },
+    { threshold: Infinity },
+    { siteRules: [{ host: 'wiki.corp', ignoreParams: [1] }] },
+    { siteRules: [{ host: 'wiki.corp', ignoreParams: [''] }] }
+  ];
+  for (const settings of imports) {
+    const { error } = parseImportedSettings(JSON.stringify({ version: SETTINGS_VERSION, settings }));
+    assert.ok(error, `accepted ${JSON.stringify(settings)}`);
+  }
+});
+
+test('an exported configuration imports back and compiles', () => {
+  const original = { ...DEFAULT_SETTINGS, ignoreRules: manyIgnoreRules.slice(0, 2), scopeTabGroupId: 4 };
+  const { settings, error } = parseImportedSettings(exportSettings(original));
+
+  assert.equal(error, undefined);
+  assert.deepEqual(settings.ignoreRules, original.ignoreRules);
+  assert.equal('scopeTabGroupId' in settings, false);
+  assert.doesNotThrow(() => getMatcherOptions({ ...DEFAULT_SETTINGS, ...settings }));
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stringSimilarity } from '../lib/similarity.js';
+import { findSimilarity } from '../lib/fuzzy-matcher.js';
+
+test('stringSimilarity stays within 0-100 for any bound', () => {
+  for (const minSimilarity of [0, 50, 100, 120, 1000]) {
+    const score = stringSimilarity('abc', 'xyz', minSimilarity);
+    assert.ok(score >= 0 && score <= 100, `bound ${minSimilarity} gave ${score}`);
+  }
+  assert.equal(stringSimilarity('same', 'same', 200), 100);
+});
+
+test('findSimilarity skips the title once it cannot reach the threshold', () => {
+  const result = findSimilarity(
+    { url: 'https://example.com/alpha/one', title: 'Quarterly budget review' },
+    { url: 'https://example.com/zzz/qqqqqqqq', title: 'Cat pictures' },
+    80
+  );
+  const title = result.breakdown.signals.find(s => s.signal === 'title');
+  assert.equal(result.similar, false);
+  assert.equal(title.score, 0);
+  assert.ok(result.score <= 100);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTabIndex } from '../lib/tab-index.js';
+import { analyzeTabs } from '../lib/fuzzy-matcher.js';
+
+// A fake chrome.tabs holding tabs in memory and firing the events the
+// service worker listens to, with the same arguments Chrome passes
+function createFakeTabs() {
+  const tabs = new Map();
+  const listeners = { created: [], updated: [], removed: [], attached: [], replaced: [] };
+  let nextId = 1;
+
+  const emit = (event, ...args) => listeners[event].forEach(listener => listener(...args));
+
+  return {
+    query: () => [...tabs.values()],
+    get: tabId => tabs.get(tabId),
+    on: (event, listener) => listeners[event].push(listener),
+    create({ url, title = '', windowId = 1 }) {
+      const tab = { id: nextId++, url, title, windowId, groupId: -1, pinned: false };
+      tabs.set(tab.id, tab);
+      emit('created', { ...tab });
+      return tab;
+    },
+    update(tabId, changes) {
+      const tab = { ...tabs.get(tabId), ...changes };
+      tabs.set(tabId, tab);
+      emit('updated', tabId, changes, { ...tab });
+    },
+    remove(tabId) {
+      tabs.delete(tabId);
+      emit('removed', tabId);
+    },
+    // Move a tab to another window (onDetached is not used by the index)
+    attach(tabId, windowId) {
+      tabs.set(tabId, { ...tabs.get(tabId), windowId });
+      emit('attached', tabId);
+    },
+    // Swap a tab for a prerendered one showing a new page, as Chrome does
+    replace(tabId, { url, title = '' }) {
+      const removed = tabs.get(tabId);
+      const tab = { ...removed, id: nextId++, url, title };
+      tabs.delete(tabId);
+      tabs.set(tab.id, tab);
+      emit('replaced', tab.id, tabId);
+    }
+  };
+}
+
+// Keep an index current the way the service worker's listeners do
+function connectIndex(fakeTabs, index) {
+  fakeTabs.on('created', tab => index.upsertTab(tab));
+  fakeTabs.on('updated', (tabId, changeInfo, tab) => index.upsertTab(tab));
+  fakeTabs.on('removed', tabId => index.removeTab(tabId));
+  fakeTabs.on('attached', tabId => index.upsertTab(fakeTabs.get(tabId)));
+  fakeTabs.on('replaced', (addedTabId, removedTabId) => {
+    index.removeTab(removedTabId);
+    index.upsertTab(fakeTabs.get(addedTabId));
+  });
+}
+
+// Order-independent view of an analysis
+function summarize(analysis) {
+  return {
+    exact: analysis.exactDuplicates
+      .map(group => `${group.reason}: ${group.tabs.map(t => t.id).sort((a, b) => a - b).join(',')}`)
+      .sort(),
+    similar: analysis.similarTabs
+      .map(pair => `${Math.min(pair.tab1.id, pair.tab2.id)}-${Math.max(pair.tab1.id, pair.tab2.id)} ${pair.score}`)
+      .sort(),
+    totalDuplicates: analysis.totalDuplicates,
+    totalSimilar: analysis.totalSimilar
+  };
+}
+
+function assertMatchesFullScan(index, fakeTabs, step) {
+  assert.deepEqual(summarize(index.getAnalysis()), summarize(analyzeTabs(fakeTabs.query())), step);
+}
+
+test('index matches a full scan after each replayed tab event', () => {
+  const fakeTabs = createFakeTabs();
+  const index = createTabIndex();
+  connectIndex(fakeTabs, index);
+
+  const steps = [
+    ['open a page', () => fakeTabs.create({ url: 'https://example.com/docs/intro', title: 'Intro' })],
+    ['open a copy', () => fakeTabs.create({ url: 'https://www.example.com/docs/intro#top', title: 'Intro' })],
+    ['open a similar page', () => fakeTabs.create({ url: 'https://example.com/docs/intro2', title: 'Intro 2' })],
+    ['open a doc', () => fakeTabs.create({ url: 'https://docs.google.com/document/d/abc123/edit', title: 'Plan' })],
+    ['open the doc read-only', () => fakeTabs.create({ url: 'https://docs.google.com/document/d/abc123/view', title: 'Plan', windowId: 2 })],
+    ['open a new tab page', () => fakeTabs.create({ url: 'chrome://newtab/', title: 'New Tab' })],
+    ['navigate the new tab', () => fakeTabs.update(6, { url: 'https://example.com/docs/intro' })],
+    ['change only a title', () => fakeTabs.update(3, { title: 'Intro, part 2' })],
+    ['move a copy to another window', () => fakeTabs.attach(2, 2)],
+    ['navigate a copy away', () => fakeTabs.update(2, { url: 'https://other.org/', title: 'Other' })],
+    ['replace a tab', () => fakeTabs.replace(1, { url: 'https://example.com/docs/intro3', title: 'Intro 3' })],
+    ['close a tab', () => fakeTabs.remove(4)],
+    ['close the last doc', () => fakeTabs.remove(5)]
+  ];
+
+  for (const [step, run] of steps) {
+    run();
+    assertMatchesFullScan(index, fakeTabs, step);
+  }
+});
+
+test('index rebuilt after a worker restart matches the live one', () => {
+  const fakeTabs = createFakeTabs();
+  const liveIndex = createTabIndex();
+  connectIndex(fakeTabs, liveIndex);
+
+  fakeTabs.create({ url: 'https://example.com/a', title: 'A' });
+  fakeTabs.create({ url: 'https://example.com/a?utm_source=mail', title: 'A' });
+  fakeTabs.create({ url: 'https://example.com/b', title: 'B' });
+  fakeTabs.update(3, { url: 'https://example.com/a' });
+  fakeTabs.remove(1);
+
+  // The worker was stopped: a fresh index is built from chrome.tabs.query
+  const restartedIndex = createTabIndex();
+  restartedIndex.rebuild(fakeTabs.query());
+  assert.deepEqual(summarize(restartedIndex.getAnalysis()), summarize(liveIndex.getAnalysis()));
+  assertMatchesFullScan(restartedIndex, fakeTabs, 'after restart');
+
+  // Events after the restart keep it current
+  connectIndex(fakeTabs, restartedIndex);
+  fakeTabs.create({ url: 'https://example.com/b', title: 'B' });
+  assertMatchesFullScan(restartedIndex, fakeTabs, 'event after restart');
+});